@@ -0,0 +1,162 @@
+import { RULE_ACTIONS, MEDIA_OPTIONS, KIND_OPTIONS, normalizeRule, normalizeRules, isValidRegex } from '../scripts/rules.js';
+import { normalizeDomainLists } from '../scripts/domains.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const rulesList = document.getElementById('rules-list');
+    const addRuleButton = document.getElementById('add-rule');
+    const saveButton = document.getElementById('save-rules');
+    const saveStatus = document.getElementById('save-status');
+    const template = document.getElementById('rule-template');
+    const allowDomainsInput = document.getElementById('allow-domains');
+    const blockDomainsInput = document.getElementById('block-domains');
+    const saveDomainsButton = document.getElementById('save-domains');
+    const domainsStatus = document.getElementById('domains-status');
+
+    const MEDIA_LABELS = { any: 'Any', with: 'Has photo or video', without: 'Text only' };
+    const KIND_LABELS = { any: 'Any', original: 'Original', reply: 'Reply', repost: 'Repost', quote: 'Quote' };
+
+    let rules = [];
+
+    const fillSelect = (select, values, labels = {}) => {
+        for (const value of values) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = labels[value] || value;
+            select.appendChild(option);
+        }
+    };
+
+    const showStatus = (text, color, element = saveStatus) => {
+        element.textContent = text;
+        element.style.color = color;
+        setTimeout(() => { element.textContent = ''; }, 3000);
+    };
+
+    // Comma-separated inputs keep what the user typed until the list is redrawn;
+    // normalizeRule turns them back into lists first (see redrawRules)
+    const renderRules = () => {
+        rulesList.innerHTML = '';
+        if (rules.length === 0) {
+            const placeholder = document.createElement('p');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = 'No rules yet. Add one to always keep or hide certain tweets.';
+            rulesList.appendChild(placeholder);
+            return;
+        }
+
+        rules.forEach((rule, index) => {
+            const node = template.content.firstElementChild.cloneNode(true);
+            const { match } = rule;
+            node.classList.toggle('disabled', !rule.enabled);
+
+            const bind = (selector, value, onChange) => {
+                const input = node.querySelector(selector);
+                if (input.type === 'checkbox') {
+                    input.checked = value;
+                } else {
+                    input.value = value ?? '';
+                }
+                input.addEventListener('change', () => onChange(input.type === 'checkbox' ? input.checked : input.value));
+                return input;
+            };
+
+            fillSelect(node.querySelector('.rule-action'), RULE_ACTIONS);
+            fillSelect(node.querySelector('.match-media'), MEDIA_OPTIONS, MEDIA_LABELS);
+            fillSelect(node.querySelector('.match-kind'), KIND_OPTIONS, KIND_LABELS);
+
+            bind('.rule-enabled', rule.enabled, (value) => {
+                rule.enabled = value;
+                node.classList.toggle('disabled', !value);
+            });
+            bind('.rule-name', rule.name, (value) => { rule.name = value; });
+            bind('.rule-action', rule.action, (value) => { rule.action = value; });
+            bind('.match-authors', match.authors.map(a => `@${a}`).join(', '), (value) => { match.authors = value; });
+            bind('.match-hashtags', match.hashtags.map(t => `#${t}`).join(', '), (value) => { match.hashtags = value; });
+            bind('.match-min-hashtags', match.minHashtags, (value) => { match.minHashtags = value; });
+            bind('.match-media', match.media, (value) => { match.media = value; });
+            bind('.match-kind', match.kind, (value) => { match.kind = value; });
+            bind('.match-domains', match.domains.join(', '), (value) => { match.domains = value; });
+
+            const errorEl = node.querySelector('.rule-error');
+            const regexInput = bind('.match-regex', match.textRegex, (value) => {
+                match.textRegex = value;
+                errorEl.textContent = isValidRegex(value) ? '' : 'Invalid regular expression';
+            });
+            if (!isValidRegex(match.textRegex)) {
+                errorEl.textContent = 'Invalid regular expression';
+            }
+            regexInput.spellcheck = false;
+
+            const move = (delta) => {
+                const target = index + delta;
+                if (target < 0 || target >= rules.length) return;
+                [rules[index], rules[target]] = [rules[target], rules[index]];
+                redrawRules();
+            };
+            node.querySelector('.rule-up').addEventListener('click', () => move(-1));
+            node.querySelector('.rule-down').addEventListener('click', () => move(1));
+            node.querySelector('.rule-remove').addEventListener('click', () => {
+                rules.splice(index, 1);
+                redrawRules();
+            });
+
+            rulesList.appendChild(node);
+        });
+    };
+
+    // Edited fields hold raw strings; clean every rule before drawing it again
+    const redrawRules = () => {
+        rules = normalizeRules(rules);
+        renderRules();
+    };
+
+    addRuleButton.addEventListener('click', () => {
+        rules.push(normalizeRule({ action: 'hide' }, rules.length));
+        redrawRules();
+    });
+
+    saveButton.addEventListener('click', () => {
+        if (rules.some(rule => !isValidRegex(rule.match.textRegex || ''))) {
+            showStatus('Fix the invalid regular expressions first.', '#e0245e');
+            return;
+        }
+        rules = normalizeRules(rules);
+        chrome.storage.local.set({ rules }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving rules:', chrome.runtime.lastError);
+                showStatus('Error saving rules!', '#e0245e');
+            } else {
+                showStatus('Rules saved!', '#17bf63');
+            }
+            renderRules();
+        });
+    });
+
+    // One domain per line
+    const renderDomainLists = (lists) => {
+        allowDomainsInput.value = lists.allow.join('\n');
+        blockDomainsInput.value = lists.block.join('\n');
+    };
+
+    saveDomainsButton.addEventListener('click', () => {
+        const domainLists = normalizeDomainLists({ allow: allowDomainsInput.value, block: blockDomainsInput.value });
+        chrome.storage.local.set({ domainLists }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving domain lists:', chrome.runtime.lastError);
+                showStatus('Error saving domains!', '#e0245e', domainsStatus);
+            } else {
+                showStatus('Domains saved!', '#17bf63', domainsStatus);
+            }
+            renderDomainLists(domainLists);
+        });
+    });
+
+    const init = async () => {
+        const { rules: storedRules, domainLists } = await chrome.storage.local.get(['rules', 'domainLists']);
+        rules = normalizeRules(storedRules);
+        renderRules();
+        renderDomainLists(normalizeDomainLists(domainLists));
+    };
+
+    init();
+});
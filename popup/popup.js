@@ -1,8 +1,21 @@
+import { normalizeInterests, normalizeInterest, MAX_EXAMPLES } from '../scripts/interests.js';
+import { MODEL_REGISTRY, MODEL_VARIANTS, getModelSpec, normalizeModelSelection, resolveModelSelection } from '../scripts/modelRegistry.js';
+import { CATEGORY_ACTIONS, DEFAULT_CATEGORY_CUTOFF, normalizeCategoryFilter, normalizeCategoryFilters } from '../scripts/categories.js';
+import { TOXICITY_ACTIONS, normalizeToxicityFilter } from '../scripts/toxicity.js';
+import { normalizeQuoteMode } from '../scripts/quotes.js';
+import { normalizeMediaSettings } from '../scripts/media.js';
+import { HIDE_MODES, HIDE_MODE_LABELS, DECISION_CATEGORIES, normalizeHideModes } from '../scripts/hideModes.js';
+import { normalizeNativeBudget, budgetUsage } from '../scripts/pacing.js';
+import { normalizeAutopilotSettings, formatAutopilotSummary } from '../scripts/autopilot.js';
+
 document.addEventListener('DOMContentLoaded', () => {
     const runToggle = document.getElementById('runToggle');
     const statusText = document.getElementById('status-text');
     const statusIndicator = document.getElementById('status-indicator');
-    const interestsTextarea = document.getElementById('interests');
+    const interestsBody = document.getElementById('interests-body');
+    const newInterestInput = document.getElementById('new-interest');
+    const addInterestButton = document.getElementById('add-interest');
+    const avoidedTextarea = document.getElementById('avoided-topics');
     const saveButton = document.getElementById('save');
     const saveStatus = document.getElementById('save-status');
     const loadingProgressContainer = document.getElementById('loading-progress-container');
@@ -17,18 +30,69 @@ document.addEventListener('DOMContentLoaded', () => {
     const downloadLogButton = document.getElementById('download-log');
     const statusEl = document.getElementById('aiStatus');
     const retryButton = document.getElementById('retryButton');
+    const modelSelect = document.getElementById('model-select');
+    const variantSelect = document.getElementById('variant-select');
+    const modelHint = document.getElementById('model-hint');
+    const multilingualToggle = document.getElementById('multilingual-toggle');
+    const shadowToggle = document.getElementById('shadow-toggle');
+    const applyThresholdButton = document.getElementById('apply-threshold');
+    const categoriesBody = document.getElementById('categories-body');
+    const newCategoryInput = document.getElementById('new-category');
+    const addCategoryButton = document.getElementById('add-category');
+    const openRulesButton = document.getElementById('open-rules');
+    const quoteModeSelect = document.getElementById('quote-mode');
+    const hideModesBody = document.getElementById('hide-modes-body');
+    const nativeActionsList = document.getElementById('native-actions-list');
+    const nativePerHourInput = document.getElementById('native-per-hour');
+    const nativePerDayInput = document.getElementById('native-per-day');
+    const nativeUsage = document.getElementById('native-usage');
+    const autopilotTweetsInput = document.getElementById('autopilot-tweets');
+    const autopilotMinutesInput = document.getElementById('autopilot-minutes');
+    const autopilotButton = document.getElementById('autopilot-button');
+    const autopilotStatus = document.getElementById('autopilot-status');
+    const imageScoringToggle = document.getElementById('image-scoring-toggle');
+    const imageWeightInput = document.getElementById('image-weight');
+    const imageWeightValue = document.getElementById('image-weight-value');
+    const ocrToggle = document.getElementById('ocr-toggle');
+    const toxicityToggle = document.getElementById('toxicity-toggle');
+    const toxicityCeiling = document.getElementById('toxicity-ceiling');
+    const toxicityCeilingValue = document.getElementById('toxicity-ceiling-value');
+    const toxicityAction = document.getElementById('toxicity-action');
     
     // Activity tracking state
     let activityVisible = false;
     let stats = { processed: 0, hidden: 0, kept: 0 };
+    let interestRows = [];
+    let categoryRows = [];
+    const expandedInterests = new Set();
 
     // Initialize UI state from storage
     const init = async () => {
-        const { isRunning, interests, aiStatus } = await chrome.storage.local.get(['isRunning', 'interests', 'aiStatus']);
+        const { isRunning, interests, avoidedTopics, aiStatus, offscreenState, embeddingModel, multilingualMode, categoryFilters, toxicityFilter, quoteMode, mediaSettings, hideModes, shadowMode, nativeBudget, nativeActionTimes, autopilotSettings } = await chrome.storage.local.get(['isRunning', 'interests', 'avoidedTopics', 'aiStatus', 'offscreenState', 'embeddingModel', 'multilingualMode', 'categoryFilters', 'toxicityFilter', 'quoteMode', 'mediaSettings', 'hideModes', 'shadowMode', 'nativeBudget', 'nativeActionTimes', 'autopilotSettings']);
         
         runToggle.checked = !!isRunning;
-        interestsTextarea.value = interests ? interests.join(', ') : '';
+        shadowToggle.checked = !!shadowMode;
+        interestRows = normalizeInterests(interests);
+        renderInterests();
+        multilingualToggle.checked = !!multilingualMode;
+        renderModelPicker(normalizeModelSelection(embeddingModel));
+        categoryRows = normalizeCategoryFilters(categoryFilters);
+        renderCategories();
+        renderToxicityFilter(normalizeToxicityFilter(toxicityFilter));
+        quoteModeSelect.value = normalizeQuoteMode(quoteMode);
+        renderMediaSettings(normalizeMediaSettings(mediaSettings));
+        renderHideModes(normalizeHideModes(hideModes));
+        const { nativeActions, autopilot, autopilotSummary } = await chrome.storage.session.get(['nativeActions', 'autopilot', 'autopilotSummary']);
+        renderNativeActions(nativeActions);
+        const { maxTweets, maxMinutes } = normalizeAutopilotSettings(autopilotSettings);
+        autopilotTweetsInput.value = maxTweets;
+        autopilotMinutesInput.value = maxMinutes;
+        renderAutopilot(autopilot, autopilotSummary);
+        nativeBudgetState = { budget: normalizeNativeBudget(nativeBudget), times: nativeActionTimes || [] };
+        renderNativeBudget();
+        avoidedTextarea.value = avoidedTopics ? avoidedTopics.join(', ') : '';
         updateStatus(aiStatus || 'stopped', isRunning);
+        updateModelState(offscreenState);
         if (aiStatus === 'loading' && isRunning) {
             showProgress();
         } else {
@@ -63,6 +127,20 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // Readiness reported by the offscreen document (via background)
+    const MODEL_STATE_LABELS = {
+        idle: 'Model status: idle',
+        loading: 'Model status: loading model...',
+        embedding: 'Model status: embedding interests...',
+        ready: '✅ Local model ready'
+    };
+    const updateModelState = (state) => {
+        // Load failures keep their specific message from AI_LOAD_FAILED
+        if (MODEL_STATE_LABELS[state]) {
+            statusEl.textContent = MODEL_STATE_LABELS[state];
+        }
+    };
+
     function showProgress() {
         loadingProgressContainer.style.display = '';
         loadingProgressBar.style.width = '0%';
@@ -97,11 +175,531 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // Model picker: every registry model, in quantized or full-precision form
+    const renderModelPicker = (selection) => {
+        modelSelect.innerHTML = '';
+        for (const [id, spec] of Object.entries(MODEL_REGISTRY)) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = spec.multilingual ? `${spec.label} (multilingual)` : spec.label;
+            modelSelect.appendChild(option);
+        }
+        variantSelect.innerHTML = '';
+        for (const variant of MODEL_VARIANTS) {
+            const option = document.createElement('option');
+            option.value = variant;
+            option.textContent = variant;
+            variantSelect.appendChild(option);
+        }
+        modelSelect.value = selection.id;
+        variantSelect.value = selection.variant;
+        updateModelHint();
+    };
+
+    // The model that will actually run once multilingual mode is applied
+    const activeModelSpec = () => getModelSpec(
+        resolveModelSelection({ id: modelSelect.value, variant: variantSelect.value }, multilingualToggle.checked).id
+    );
+
+    const updateModelHint = () => {
+        const spec = activeModelSpec();
+        const swapped = spec !== getModelSpec(modelSelect.value) ? `uses ${spec.label} · ` : '';
+        modelHint.textContent = `${swapped}${spec.dims}-d · ${spec.pooling} pooling · ~${spec.sizeMB[variantSelect.value]}MB · ` +
+            `threshold ${spec.recommendedThreshold}`;
+    };
+
+    const saveModelSelection = () => {
+        updateModelHint();
+        const embeddingModel = normalizeModelSelection({ id: modelSelect.value, variant: variantSelect.value });
+        chrome.storage.local.set({ embeddingModel }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving model selection:', chrome.runtime.lastError);
+            }
+        });
+    };
+
+    modelSelect.addEventListener('change', saveModelSelection);
+    variantSelect.addEventListener('change', saveModelSelection);
+    shadowToggle.addEventListener('change', () => {
+        chrome.storage.local.set({ shadowMode: shadowToggle.checked }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving shadow mode:', chrome.runtime.lastError);
+            }
+        });
+    });
+
+    multilingualToggle.addEventListener('change', () => {
+        updateModelHint();
+        chrome.storage.local.set({ multilingualMode: multilingualToggle.checked }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving multilingual mode:', chrome.runtime.lastError);
+            }
+        });
+    });
+
+    // Similarity scores are not comparable across models, so offer to reset every slider
+    applyThresholdButton.addEventListener('click', () => {
+        const { recommendedThreshold } = activeModelSpec();
+        interestRows.forEach(interest => { interest.threshold = recommendedThreshold; });
+        renderInterests();
+    });
+
+    // Interest editor: one row per interest with its own threshold and weight
+    const renderInterests = () => {
+        interestsBody.innerHTML = '';
+        interestRows.forEach((interest, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td class="interest-label"></td>
+                <td>
+                    <input type="range" min="0" max="1" step="0.01" class="threshold-input">
+                    <span class="threshold-value"></span>
+                </td>
+                <td><input type="number" min="0" max="5" step="0.1" class="weight-input"></td>
+                <td><button class="remove-interest" title="Remove">✕</button></td>
+            `;
+            const expanded = expandedInterests.has(interest.label);
+            const labelCell = row.querySelector('.interest-label');
+            labelCell.textContent = `${expanded ? '▾' : '▸'} ${interest.label}`;
+            labelCell.title = 'Show example phrases';
+            labelCell.addEventListener('click', () => {
+                if (expanded) {
+                    expandedInterests.delete(interest.label);
+                } else {
+                    expandedInterests.add(interest.label);
+                }
+                renderInterests();
+            });
+
+            const thresholdInput = row.querySelector('.threshold-input');
+            const thresholdValue = row.querySelector('.threshold-value');
+            thresholdInput.value = interest.threshold;
+            thresholdValue.textContent = interest.threshold.toFixed(2);
+            thresholdInput.addEventListener('input', () => {
+                interest.threshold = Number(thresholdInput.value);
+                thresholdValue.textContent = interest.threshold.toFixed(2);
+            });
+
+            const weightInput = row.querySelector('.weight-input');
+            weightInput.value = interest.weight;
+            weightInput.addEventListener('change', () => {
+                interest.weight = Number(weightInput.value);
+            });
+
+            row.querySelector('.remove-interest').addEventListener('click', () => {
+                interestRows.splice(index, 1);
+                renderInterests();
+            });
+            interestsBody.appendChild(row);
+            if (expanded) {
+                interestsBody.appendChild(renderExamples(interest));
+            }
+        });
+    };
+
+    // Extra phrases or sample sentences embedded alongside the interest label,
+    // up to MAX_EXAMPLES (normalizeInterest drops the rest)
+    const renderExamples = (interest) => {
+        const row = document.createElement('tr');
+        row.className = 'examples-row';
+        row.innerHTML = `
+            <td colspan="4">
+                <ul class="examples-list"></ul>
+                <div class="add-interest">
+                    <input type="text" class="new-example" placeholder="Add an example phrase or sentence">
+                    <button class="button-small add-example">Add</button>
+                </div>
+                <span class="examples-count"></span>
+            </td>
+        `;
+        const list = row.querySelector('.examples-list');
+        interest.examples.forEach((example, exampleIndex) => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = example;
+            const remove = document.createElement('button');
+            remove.className = 'remove-interest';
+            remove.title = 'Remove';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                interest.examples.splice(exampleIndex, 1);
+                renderInterests();
+            });
+            item.append(text, remove);
+            list.appendChild(item);
+        });
+
+        const input = row.querySelector('.new-example');
+        const addButton = row.querySelector('.add-example');
+        const full = interest.examples.length >= MAX_EXAMPLES;
+        row.querySelector('.examples-count').textContent = `${interest.examples.length} / ${MAX_EXAMPLES} examples`;
+        input.disabled = full;
+        addButton.disabled = full;
+        if (full) input.placeholder = 'Example limit reached; remove one to add another';
+
+        const addExample = () => {
+            const example = input.value.trim();
+            if (example && !interest.examples.includes(example) && interest.examples.length < MAX_EXAMPLES) {
+                interest.examples.push(example);
+                renderInterests();
+            }
+            input.value = '';
+        };
+        addButton.addEventListener('click', addExample);
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') addExample();
+        });
+        return row;
+    };
+
+    const addInterest = () => {
+        const interest = normalizeInterest(newInterestInput.value);
+        if (interest && !interestRows.some(i => i.label === interest.label)) {
+            interest.threshold = activeModelSpec().recommendedThreshold;
+            interestRows.push(interest);
+            renderInterests();
+        }
+        newInterestInput.value = '';
+    };
+
+    addInterestButton.addEventListener('click', addInterest);
+    newInterestInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') addInterest();
+    });
+
+    // Category filters take effect as soon as they are edited
+    const saveCategories = () => {
+        chrome.storage.local.set({ categoryFilters: normalizeCategoryFilters(categoryRows) }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving category filters:', chrome.runtime.lastError);
+            }
+        });
+    };
+
+    const renderCategories = () => {
+        categoriesBody.innerHTML = '';
+        categoryRows.forEach((filter, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="checkbox" class="category-enabled" title="Enabled"></td>
+                <td class="interest-label"></td>
+                <td><select class="category-action"></select></td>
+                <td>
+                    <input type="range" min="0" max="1" step="0.01" class="threshold-input">
+                    <span class="threshold-value"></span>
+                </td>
+                <td><button class="remove-interest" title="Remove">✕</button></td>
+            `;
+            row.querySelector('.interest-label').textContent = filter.label;
+
+            const enabledInput = row.querySelector('.category-enabled');
+            enabledInput.checked = filter.enabled;
+            enabledInput.addEventListener('change', () => {
+                filter.enabled = enabledInput.checked;
+                saveCategories();
+            });
+
+            const actionSelect = row.querySelector('.category-action');
+            for (const action of CATEGORY_ACTIONS) {
+                const option = document.createElement('option');
+                option.value = action;
+                option.textContent = action;
+                actionSelect.appendChild(option);
+            }
+            actionSelect.value = filter.action;
+            actionSelect.addEventListener('change', () => {
+                filter.action = actionSelect.value;
+                saveCategories();
+            });
+
+            const cutoffInput = row.querySelector('.threshold-input');
+            const cutoffValue = row.querySelector('.threshold-value');
+            cutoffInput.value = filter.cutoff;
+            cutoffValue.textContent = filter.cutoff.toFixed(2);
+            cutoffInput.addEventListener('input', () => {
+                filter.cutoff = Number(cutoffInput.value);
+                cutoffValue.textContent = filter.cutoff.toFixed(2);
+            });
+            cutoffInput.addEventListener('change', saveCategories);
+
+            row.querySelector('.remove-interest').addEventListener('click', () => {
+                categoryRows.splice(index, 1);
+                renderCategories();
+                saveCategories();
+            });
+            categoriesBody.appendChild(row);
+        });
+    };
+
+    const addCategory = () => {
+        const filter = normalizeCategoryFilter({
+            label: newCategoryInput.value,
+            enabled: true,
+            action: 'hide',
+            cutoff: DEFAULT_CATEGORY_CUTOFF
+        });
+        if (filter && !categoryRows.some(c => c.label === filter.label)) {
+            categoryRows.push(filter);
+            renderCategories();
+            saveCategories();
+        }
+        newCategoryInput.value = '';
+    };
+
+    addCategoryButton.addEventListener('click', addCategory);
+    newCategoryInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') addCategory();
+    });
+
+    // Toxicity ceiling: above it a tweet is hidden or blurred whatever its topic
+    const renderToxicityFilter = (filter) => {
+        toxicityAction.innerHTML = '';
+        for (const action of TOXICITY_ACTIONS) {
+            const option = document.createElement('option');
+            option.value = action;
+            option.textContent = action;
+            toxicityAction.appendChild(option);
+        }
+        toxicityToggle.checked = filter.enabled;
+        toxicityCeiling.value = filter.ceiling;
+        toxicityCeilingValue.textContent = filter.ceiling.toFixed(2);
+        toxicityAction.value = filter.action;
+    };
+
+    const saveToxicityFilter = () => {
+        const toxicityFilter = normalizeToxicityFilter({
+            enabled: toxicityToggle.checked,
+            ceiling: toxicityCeiling.value,
+            action: toxicityAction.value
+        });
+        chrome.storage.local.set({ toxicityFilter }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving toxicity filter:', chrome.runtime.lastError);
+            }
+        });
+    };
+
+    toxicityCeiling.addEventListener('input', () => {
+        toxicityCeilingValue.textContent = Number(toxicityCeiling.value).toFixed(2);
+    });
+    toxicityToggle.addEventListener('change', saveToxicityFilter);
+    toxicityCeiling.addEventListener('change', saveToxicityFilter);
+    toxicityAction.addEventListener('change', saveToxicityFilter);
+
+    // Rules need more room than the popup has; they live on the options page
+    openRulesButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    // One mode per decision category; saved as soon as it changes
+    const renderHideModes = (modes) => {
+        hideModesBody.innerHTML = '';
+        for (const [category, label] of Object.entries(DECISION_CATEGORIES)) {
+            const row = document.createElement('div');
+            row.className = 'setting-row';
+            const name = document.createElement('label');
+            name.textContent = label;
+            name.htmlFor = `hide-mode-${category}`;
+            const select = document.createElement('select');
+            select.id = `hide-mode-${category}`;
+            select.dataset.category = category;
+            for (const mode of HIDE_MODES) {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = HIDE_MODE_LABELS[mode];
+                select.appendChild(option);
+            }
+            select.value = modes[category];
+            select.addEventListener('change', saveHideModes);
+            row.append(name, select);
+            hideModesBody.appendChild(row);
+        }
+    };
+
+    const saveHideModes = () => {
+        const hideModes = normalizeHideModes(Object.fromEntries(
+            Array.from(hideModesBody.querySelectorAll('select')).map(select => [select.dataset.category, select.value])
+        ));
+        chrome.storage.local.set({ hideModes }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving hide modes:', chrome.runtime.lastError);
+            }
+        });
+    };
+
+    // "Not interested" clicks sent to X this session, newest first, with undo
+    const UNDONE_LABELS = { native: 'undone on X', visual: 'shown again (X undo expired)', missing: 'undo unavailable' };
+
+    const renderNativeActions = (actions = []) => {
+        nativeActionsList.innerHTML = '';
+        if (!actions.length) {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'placeholder';
+            placeholder.textContent = 'Nothing sent to X yet.';
+            nativeActionsList.appendChild(placeholder);
+            return;
+        }
+        for (const action of [...actions].reverse()) {
+            const row = document.createElement('div');
+            row.className = 'native-action';
+            const text = document.createElement('span');
+            text.className = 'activity-text';
+            text.textContent = action.text || action.id;
+            text.title = action.text;
+            const meta = document.createElement('span');
+            meta.className = 'native-action-meta';
+            meta.textContent = new Date(action.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            meta.title = action.menuItem;
+            row.append(text, meta);
+
+            if (action.undone) {
+                const status = document.createElement('span');
+                status.className = 'native-action-status';
+                status.textContent = UNDONE_LABELS[action.undone] || action.undone;
+                row.appendChild(status);
+            } else {
+                const undo = document.createElement('button');
+                undo.className = 'button-small';
+                undo.textContent = 'Undo';
+                undo.addEventListener('click', async () => {
+                    undo.disabled = true;
+                    const response = await chrome.runtime.sendMessage({ type: 'UNDO_NATIVE_ACTION', payload: { id: action.id } });
+                    if (!response?.success) {
+                        console.error('Undo failed:', response?.error);
+                        undo.disabled = false;
+                    }
+                });
+                row.appendChild(undo);
+            }
+            nativeActionsList.appendChild(row);
+        }
+    };
+
+    // Budget for automated "Not interested" clicks; beyond it tweets are hidden locally
+    let nativeBudgetState = { budget: normalizeNativeBudget(), times: [] };
+
+    const renderNativeBudget = () => {
+        const { budget, times } = nativeBudgetState;
+        const usage = budgetUsage(times);
+        if (document.activeElement !== nativePerHourInput) nativePerHourInput.value = budget.perHour;
+        if (document.activeElement !== nativePerDayInput) nativePerDayInput.value = budget.perDay;
+        const exhausted = usage.hour >= budget.perHour || usage.day >= budget.perDay;
+        nativeUsage.textContent = `Used ${usage.hour}/${budget.perHour} this hour, ${usage.day}/${budget.perDay} today` +
+            (exhausted ? ' - hiding locally until budget frees up' : '');
+    };
+
+    const saveNativeBudget = () => {
+        const nativeBudget = normalizeNativeBudget({ perHour: nativePerHourInput.value, perDay: nativePerDayInput.value });
+        chrome.storage.local.set({ nativeBudget }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving native action budget:', chrome.runtime.lastError);
+            }
+        });
+    };
+    nativePerHourInput.addEventListener('change', saveNativeBudget);
+    nativePerDayInput.addEventListener('change', saveNativeBudget);
+
+    // Autopilot: one bounded training session at a time, summary when it ends
+    let autopilotSession = null;
+    let lastAutopilotSummary = null;
+
+    const renderAutopilot = (session, summary) => {
+        autopilotSession = session || null;
+        lastAutopilotSummary = summary || null;
+        const autopilotRunning = !!autopilotSession;
+        autopilotButton.textContent = autopilotRunning ? 'Stop' : 'Start';
+        autopilotTweetsInput.disabled = autopilotRunning;
+        autopilotMinutesInput.disabled = autopilotRunning;
+        if (autopilotRunning) {
+            const since = new Date(session.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            autopilotStatus.textContent = `Running since ${since}: up to ${session.maxTweets} tweets or ${session.maxMinutes} minutes.`;
+        } else if (summary) {
+            autopilotStatus.textContent = `Last session: ${formatAutopilotSummary(summary)}`;
+        }
+    };
+
+    autopilotButton.addEventListener('click', async () => {
+        autopilotButton.disabled = true;
+        try {
+            if (autopilotSession) {
+                await chrome.runtime.sendMessage({ type: 'STOP_AUTOPILOT' });
+                return;
+            }
+            const autopilotSettings = normalizeAutopilotSettings({
+                maxTweets: autopilotTweetsInput.value,
+                maxMinutes: autopilotMinutesInput.value
+            });
+            await chrome.storage.local.set({ autopilotSettings });
+            const response = await chrome.runtime.sendMessage({ type: 'START_AUTOPILOT', payload: autopilotSettings });
+            if (!response?.success) {
+                autopilotStatus.textContent = `❌ ${response?.error || 'Could not start autopilot'}`;
+            }
+        } catch (error) {
+            console.error('Autopilot request failed:', error);
+        } finally {
+            autopilotButton.disabled = false;
+        }
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'session' && changes.nativeActions) {
+            renderNativeActions(changes.nativeActions.newValue);
+        }
+        if (area === 'session' && (changes.autopilot || changes.autopilotSummary)) {
+            renderAutopilot(
+                changes.autopilot ? changes.autopilot.newValue : autopilotSession,
+                changes.autopilotSummary ? changes.autopilotSummary.newValue : lastAutopilotSummary
+            );
+        }
+        if (area === 'local' && (changes.nativeBudget || changes.nativeActionTimes)) {
+            if (changes.nativeBudget) nativeBudgetState.budget = normalizeNativeBudget(changes.nativeBudget.newValue);
+            if (changes.nativeActionTimes) nativeBudgetState.times = changes.nativeActionTimes.newValue || [];
+            renderNativeBudget();
+        }
+    });
+
+    quoteModeSelect.addEventListener('change', () => {
+        chrome.storage.local.set({ quoteMode: normalizeQuoteMode(quoteModeSelect.value) }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving quote mode:', chrome.runtime.lastError);
+            }
+        });
+    });
+
+    // Image understanding: CLIP scores blended in for tweets with little text, OCR of photos
+    const renderMediaSettings = (settings) => {
+        imageScoringToggle.checked = settings.imageScoring;
+        imageWeightInput.value = settings.imageWeight;
+        imageWeightValue.textContent = settings.imageWeight.toFixed(2);
+        ocrToggle.checked = settings.ocr;
+    };
+
+    const saveMediaSettings = () => {
+        const mediaSettings = normalizeMediaSettings({
+            imageScoring: imageScoringToggle.checked,
+            imageWeight: imageWeightInput.value,
+            ocr: ocrToggle.checked
+        });
+        chrome.storage.local.set({ mediaSettings }, () => {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving media settings:', chrome.runtime.lastError);
+            }
+        });
+    };
+
+    imageWeightInput.addEventListener('input', () => {
+        imageWeightValue.textContent = Number(imageWeightInput.value).toFixed(2);
+    });
+    imageScoringToggle.addEventListener('change', saveMediaSettings);
+    imageWeightInput.addEventListener('change', saveMediaSettings);
+    ocrToggle.addEventListener('change', saveMediaSettings);
+
+    const parseTopics = (value) => value.split(',')
+        .map(s => s.trim().toLowerCase())
+        .filter(s => s && s.length > 0); // Filter out empty strings
+
     saveButton.addEventListener('click', () => {
         try {
-            const interests = interestsTextarea.value.split(',')
-                .map(s => s.trim().toLowerCase())
-                .filter(s => s && s.length > 0); // Filter out empty strings
+            const interests = normalizeInterests(interestRows);
+            const avoidedTopics = parseTopics(avoidedTextarea.value);
             
             if (interests.length === 0) {
                 saveStatus.textContent = 'Please enter at least one interest.';
@@ -113,7 +711,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
             
-            chrome.storage.local.set({ interests }, () => {
+            chrome.storage.local.set({ interests, avoidedTopics }, () => {
                 if (chrome.runtime.lastError) {
                     console.error('Error saving interests:', chrome.runtime.lastError);
                     saveStatus.textContent = 'Error saving interests!';
@@ -139,9 +737,13 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Listen for status updates and progress from the background script
+    // Only answer messages meant for the popup, so requests addressed to the
+    // offscreen document (CLASSIFY, GET_OFFSCREEN_STATE) get their real response
+    const POPUP_MESSAGES = new Set(['AI_LOAD_PROGRESS', 'AI_READY', 'AI_LOAD_FAILED', 'STATUS_UPDATE', 'ACTIVITY_LOG']);
+
     chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         try {
-            if (!message || !message.type) {
+            if (!message || !POPUP_MESSAGES.has(message.type)) {
                 return;
             }
 
@@ -161,6 +763,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             if (message.type === 'STATUS_UPDATE' && message.payload) {
                 updateStatus(message.payload.aiStatus, message.payload.isRunning);
+                updateModelState(message.payload.offscreenState);
             }
             
             if (message.type === 'AI_LOAD_PROGRESS' && message.payload) {
@@ -174,8 +777,8 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             
             if (message.type === 'ACTIVITY_LOG' && message.payload) {
-                const { tweetText, decision } = message.payload;
-                addActivityEntry(tweetText, decision);
+                const { tweetText, decision, shadow } = message.payload;
+                addActivityEntry(tweetText, decision, shadow);
             }
             
             sendResponse({ success: true });
@@ -199,7 +802,8 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     
     // Function to add activity log entry
-    const addActivityEntry = (tweetText, decision) => {
+    // Shadow (dry-run) entries say what would have happened
+    const addActivityEntry = (tweetText, decision, shadow = false) => {
         // Remove placeholder if present
         const placeholder = activityList.querySelector('.placeholder');
         if (placeholder) {
@@ -207,15 +811,16 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         // Create new activity item
+        const decisionClass = ['hidden', 'dimmed', 'blurred'].includes(decision) ? decision : 'kept';
         const item = document.createElement('div');
-        item.className = `activity-item ${decision === 'hidden' ? 'hidden' : 'kept'}`;
+        item.className = `activity-item ${decisionClass}${shadow ? ' shadow' : ''}`;
         
         const truncatedText = tweetText.length > 40 ? tweetText.substring(0, 40) + '...' : tweetText;
         
         item.innerHTML = `
             <span class="activity-text" title="${tweetText.replace(/"/g, '&quot;')}">${truncatedText}</span>
-            <span class="activity-decision ${decision === 'hidden' ? 'hidden' : 'kept'}">
-                ${decision === 'hidden' ? 'HIDDEN' : 'KEPT'}
+            <span class="activity-decision ${decisionClass}">
+                ${shadow && decisionClass !== 'kept' ? `WOULD BE ${decisionClass.toUpperCase()}` : decisionClass.toUpperCase()}
             </span>
         `;
         
@@ -230,7 +835,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Update stats
         stats.processed++;
-        if (decision === 'hidden') {
+        // Dimmed and blurred tweets were filtered too, just less aggressively
+        if (decisionClass !== 'kept') {
             stats.hidden++;
         } else {
             stats.kept++;
@@ -0,0 +1,43 @@
+/**
+ * Autopilot - Bounded "training sessions" that scroll the feed on purpose
+ * The extension only ever scrolls inside a session: content.js scrolls the
+ * active X tab until N tweets were classified or M minutes passed (or the
+ * user stops it), hidden tweets get X's native "Not interested" within the
+ * action budget, and the session ends with a summary in the popup.
+ *
+ * Settings: { maxTweets, maxMinutes }, stored as `autopilotSettings`
+ * Summary: { tweets, kept, hidden, dimmed, blurred, native, durationMs, reason }
+ */
+
+export const DEFAULT_AUTOPILOT_SETTINGS = { maxTweets: 100, maxMinutes: 10 };
+const MAX_TWEETS = 1000;
+const MAX_MINUTES = 120;
+
+const bounded = (value, max, fallback) => {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 1 ? Math.min(n, max) : fallback;
+};
+
+export const normalizeAutopilotSettings = (settings) => ({
+  maxTweets: bounded(settings?.maxTweets, MAX_TWEETS, DEFAULT_AUTOPILOT_SETTINGS.maxTweets),
+  maxMinutes: bounded(settings?.maxMinutes, MAX_MINUTES, DEFAULT_AUTOPILOT_SETTINGS.maxMinutes)
+});
+
+const STOP_REASONS = {
+  tweets: 'tweet limit reached',
+  time: 'time limit reached',
+  stopped: 'stopped',
+  navigated: 'left the feed'
+};
+
+// One line for the popup, e.g. "100 tweets in 6m 12s: 71 kept, 29 hidden (12 sent to X) - tweet limit reached"
+export const formatAutopilotSummary = (summary) => {
+  const seconds = Math.round((summary.durationMs || 0) / 1000);
+  const duration = seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+  const parts = [`${summary.kept || 0} kept`, `${summary.hidden || 0} hidden`];
+  if (summary.dimmed) parts.push(`${summary.dimmed} dimmed`);
+  if (summary.blurred) parts.push(`${summary.blurred} blurred`);
+  const native = summary.native ? ` (${summary.native} sent to X)` : '';
+  const reason = STOP_REASONS[summary.reason] || summary.reason || '';
+  return `${summary.tweets || 0} tweets in ${duration}: ${parts.join(', ')}${native}${reason ? ` - ${reason}` : ''}`;
+};
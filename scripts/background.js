@@ -1,34 +1,202 @@
-import { isModelReady } from './modelManager.js';
+import { normalizeInterests } from './interests.js';
+import { getModelSpec, normalizeModelSelection, resolveModelSelection, modelKey } from './modelRegistry.js';
+import { normalizeCategoryFilters } from './categories.js';
+import { normalizeToxicityFilter } from './toxicity.js';
+import { normalizeRules, evaluateRules } from './rules.js';
+import { normalizeQuoteMode, combineQuoteResults, MIN_COMMENT_LENGTH } from './quotes.js';
+import { normalizeMediaSettings, MIN_TEXT_LENGTH } from './media.js';
+import { normalizeDomainLists, matchDomainLists } from './domains.js';
+import { buildExplanation } from './explain.js';
+import { normalizeHideModes, decisionCategory, hideLabel } from './hideModes.js';
+import { recordNativeAction, findUndoable, markUndone } from './nativeActions.js';
+import { normalizeNativeBudget, pruneActionTimes, hasNativeBudget } from './pacing.js';
+import { normalizeAutopilotSettings } from './autopilot.js';
 
 // Global state
 let isRunning = false;
 let aiReady = false;
+let offscreenState = 'idle'; // idle | loading | embedding | ready | error, reported by offscreen.js
 const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
 let connectedTabs = new Set(); // Track tabs with active content scripts
-let cachedInterests = []; // Cache interests to avoid repeated storage reads
+let cachedInterests = []; // Cache interests ({ label, threshold, weight }) to avoid repeated storage reads
+let cachedAvoidedTopics = []; // Topics that should always be hidden
+let cachedLabeledExamples = []; // User corrections: { id, text, label: 'keep' | 'hide', ts }
+const MAX_LABELED_EXAMPLES = 500;
 const spamKeywords = ['promoted', 'sponsored', 'free crypto', 'giveaway'];
-const SIM_THRESHOLD = 0.35;
+let cachedModelSelection = normalizeModelSelection(); // { id, variant } picked in the popup
+let cachedMultilingual = false; // Multilingual curation mode
+let cachedCategoryFilters = normalizeCategoryFilters(); // Zero-shot category filters
+let cachedToxicityFilter = normalizeToxicityFilter(); // { enabled, ceiling, action }
+let cachedRules = []; // Ordered user rules, evaluated before any classifier
+let cachedQuoteMode = normalizeQuoteMode(); // 'either' | 'comment' for quote tweets
+let cachedMediaSettings = normalizeMediaSettings(); // Image understanding
+let cachedDomainLists = normalizeDomainLists(); // { allow, block } link domains
+let cachedNativeBudget = normalizeNativeBudget(); // { perHour, perDay } native X actions
+let autopilotSession = null; // { tabId, startedAt, maxTweets, maxMinutes } during a training session
+let cachedShadowMode = false; // Dry run: classify and log, never hide anything or drive the timeline
+let cachedHideModes = normalizeHideModes(); // { [decision category]: 'collapse' | 'blur' | 'dim' | 'remove' | 'native' }
 
 // Initialize cached interests
 const initializeCachedInterests = async () => {
     try {
-        const result = await chrome.storage.local.get('interests');
-        cachedInterests = Array.isArray(result.interests) ? result.interests : [];
-        console.log('Cached interests initialized:', cachedInterests);
+        const result = await chrome.storage.local.get(['interests', 'avoidedTopics', 'labeledExamples', 'embeddingModel', 'multilingualMode', 'categoryFilters', 'toxicityFilter', 'rules', 'quoteMode', 'mediaSettings', 'domainLists', 'hideModes', 'shadowMode', 'nativeBudget']);
+        cachedInterests = normalizeInterests(result.interests);
+        cachedAvoidedTopics = Array.isArray(result.avoidedTopics) ? result.avoidedTopics : [];
+        cachedLabeledExamples = Array.isArray(result.labeledExamples) ? result.labeledExamples : [];
+        cachedModelSelection = normalizeModelSelection(result.embeddingModel);
+        cachedMultilingual = !!result.multilingualMode;
+        cachedCategoryFilters = normalizeCategoryFilters(result.categoryFilters);
+        cachedToxicityFilter = normalizeToxicityFilter(result.toxicityFilter);
+        cachedRules = normalizeRules(result.rules);
+        cachedQuoteMode = normalizeQuoteMode(result.quoteMode);
+        cachedMediaSettings = normalizeMediaSettings(result.mediaSettings);
+        cachedDomainLists = normalizeDomainLists(result.domainLists);
+        cachedHideModes = normalizeHideModes(result.hideModes);
+        cachedShadowMode = !!result.shadowMode;
+        cachedNativeBudget = normalizeNativeBudget(result.nativeBudget);
+        // A training session survives the service worker being restarted
+        const { autopilot } = await chrome.storage.session.get('autopilot');
+        autopilotSession = autopilot || null;
+        console.log('Cached interests initialized:', cachedInterests, 'avoided:', cachedAvoidedTopics);
     } catch (error) {
         console.error('Failed to initialize cached interests:', error);
         cachedInterests = [];
+        cachedAvoidedTopics = [];
+        cachedLabeledExamples = [];
+    }
+};
+
+// MV3 restarts an idle worker without onStartup/onInstalled, so the cached
+// settings (shadow mode, rules, domain lists...) are loaded on every start
+// and message handlers wait for them
+const settingsLoaded = initializeCachedInterests();
+
+// The model the offscreen document should run, after applying multilingual mode
+const effectiveModel = () => resolveModelSelection(cachedModelSelection, cachedMultilingual);
+
+const sendInterestsToOffscreen = () => {
+    chrome.runtime.sendMessage({
+        type: 'SET_INTERESTS',
+        interests: cachedInterests,
+        avoidedTopics: cachedAvoidedTopics,
+        spamKeywords,
+        // Avoided topics use the model's recommended threshold; interests carry their own
+        threshold: getModelSpec(effectiveModel().id).recommendedThreshold
+    });
+};
+
+const sendLabeledExamplesToOffscreen = () => {
+    chrome.runtime.sendMessage({
+        type: 'SET_LABELED_EXAMPLES',
+        examples: cachedLabeledExamples
+    });
+};
+
+// Only enabled filters are sent; with none the offscreen never loads the NLI model
+const sendCategoriesToOffscreen = () => {
+    chrome.runtime.sendMessage({
+        type: 'SET_CATEGORIES',
+        categories: cachedCategoryFilters.filter(c => c.enabled)
+    });
+};
+
+const sendToxicityFilterToOffscreen = () => {
+    chrome.runtime.sendMessage({ type: 'SET_TOXICITY', filter: cachedToxicityFilter });
+};
+
+const sendMediaSettingsToOffscreen = () => {
+    chrome.runtime.sendMessage({ type: 'SET_MEDIA_SETTINGS', settings: cachedMediaSettings });
+};
+
+const sendBatchConfigToOffscreen = async () => {
+    try {
+        const { batchConfig } = await chrome.storage.local.get('batchConfig');
+        if (batchConfig) {
+            chrome.runtime.sendMessage({ type: 'SET_BATCH_CONFIG', config: batchConfig });
+        }
+    } catch (error) {
+        console.error('Failed to send batch config:', error);
     }
 };
 
 // Propagate future interest changes
 chrome.storage.onChanged.addListener((changes, area) => {
     try {
-        if (area === 'local' && changes.interests) {
-            cachedInterests = changes.interests.newValue || [];
-            console.log('Cached interests updated:', cachedInterests);
+        if (area === 'local' && (changes.interests || changes.avoidedTopics)) {
+            if (changes.interests) {
+                cachedInterests = normalizeInterests(changes.interests.newValue);
+            }
+            if (changes.avoidedTopics) {
+                cachedAvoidedTopics = changes.avoidedTopics.newValue || [];
+            }
+            console.log('Cached interests updated:', cachedInterests, 'avoided:', cachedAvoidedTopics);
             if (aiReady) {
-                chrome.runtime.sendMessage({ type: 'SET_INTERESTS', interests: cachedInterests });
+                sendInterestsToOffscreen();
+            }
+        }
+        if (area === 'local' && (changes.embeddingModel || changes.multilingualMode)) {
+            const previousModel = modelKey(effectiveModel());
+            if (changes.embeddingModel) {
+                cachedModelSelection = normalizeModelSelection(changes.embeddingModel.newValue);
+            }
+            if (changes.multilingualMode) {
+                cachedMultilingual = !!changes.multilingualMode.newValue;
+            }
+            console.log('Embedding model changed:', effectiveModel(), 'multilingual:', cachedMultilingual);
+            if (offscreenState !== 'idle' && modelKey(effectiveModel()) !== previousModel) {
+                // The offscreen document reloads and re-embeds; it reports AI_READY again
+                aiReady = false;
+                chrome.runtime.sendMessage({ type: 'SET_MODEL', model: effectiveModel() });
+                broadcastStatus();
+            }
+        }
+        if (area === 'local' && changes.batchConfig && aiReady) {
+            sendBatchConfigToOffscreen();
+        }
+        if (area === 'local' && changes.categoryFilters) {
+            cachedCategoryFilters = normalizeCategoryFilters(changes.categoryFilters.newValue);
+            if (aiReady) {
+                sendCategoriesToOffscreen();
+            }
+        }
+        if (area === 'local' && changes.toxicityFilter) {
+            cachedToxicityFilter = normalizeToxicityFilter(changes.toxicityFilter.newValue);
+            if (aiReady) {
+                sendToxicityFilterToOffscreen();
+            }
+        }
+        if (area === 'local' && changes.rules) {
+            cachedRules = normalizeRules(changes.rules.newValue);
+            console.log('Rules updated:', cachedRules.length);
+        }
+        if (area === 'local' && changes.quoteMode) {
+            cachedQuoteMode = normalizeQuoteMode(changes.quoteMode.newValue);
+        }
+        if (area === 'local' && changes.domainLists) {
+            cachedDomainLists = normalizeDomainLists(changes.domainLists.newValue);
+        }
+        if (area === 'local' && changes.hideModes) {
+            cachedHideModes = normalizeHideModes(changes.hideModes.newValue);
+        }
+        if (area === 'local' && changes.shadowMode) {
+            cachedShadowMode = !!changes.shadowMode.newValue;
+            console.log('Shadow mode:', cachedShadowMode);
+            // Autopilot scrolls the timeline, which a dry run must not do
+            if (cachedShadowMode) stopAutopilot().catch(err => console.error('Failed to stop autopilot:', err));
+        }
+        if (area === 'local' && changes.nativeBudget) {
+            cachedNativeBudget = normalizeNativeBudget(changes.nativeBudget.newValue);
+        }
+        if (area === 'local' && changes.mediaSettings) {
+            cachedMediaSettings = normalizeMediaSettings(changes.mediaSettings.newValue);
+            if (aiReady) {
+                sendMediaSettingsToOffscreen();
+            }
+        }
+        if (area === 'local' && changes.labeledExamples) {
+            cachedLabeledExamples = changes.labeledExamples.newValue || [];
+            if (aiReady) {
+                sendLabeledExamplesToOffscreen();
             }
         }
     } catch (error) {
@@ -39,7 +207,7 @@ chrome.storage.onChanged.addListener((changes, area) => {
 // On-device model handled in offscreen document
 
 // Debug logging functionality
-const logLine = async ({id, text, decision, reason}) => {
+const logLine = async ({id, text, decision, reason, matchedPhrase, category, toxicity, rule, quote, repostedBy, image, ocrText, domain, shadow}) => {
     try {
         // Ensure all parameters are defined
         if (!id || !decision || !reason) {
@@ -59,13 +227,46 @@ const logLine = async ({id, text, decision, reason}) => {
         const curationLog = Array.isArray(result.curationLog) ? result.curationLog : [];
         
         // Add new entry
-        curationLog.push({
+        const entry = {
             ts: Date.now(), 
             id: String(id), 
             decision: String(decision), 
             reason: String(reason), 
             text: String(text || '')
-        });
+        };
+        if (matchedPhrase) {
+            entry.matchedPhrase = String(matchedPhrase);
+        }
+        if (category) {
+            entry.category = String(category);
+        }
+        if (Number.isFinite(toxicity)) {
+            entry.toxicity = Number(toxicity.toFixed(3));
+        }
+        if (rule) {
+            entry.rule = rule;
+        }
+        if (quote) {
+            entry.quote = quote; // { mode, comment: { decision, score }, quoted: { decision, score } }
+        }
+        if (repostedBy) {
+            entry.repostedBy = String(repostedBy);
+        }
+        if (image) {
+            entry.image = image; // { label, score, weight } from the CLIP scorer
+        }
+        if (shadow) {
+            entry.shadow = true; // dry run: nothing was done to the tweet
+        }
+        if (domain) {
+            entry.domain = domain; // { list: 'allow' | 'block', domain } from the domain lists
+        }
+        if (ocrText) {
+            entry.ocrText = String(ocrText).slice(0, 300); // text read from the photos
+        }
+        entry.mode = cachedMultilingual ? 'multilingual' : 'english';
+        entry.model = modelKey(effectiveModel());
+        curationLog.push(entry);
         
         // Maintain ring buffer
         if (curationLog.length > 2000) {
@@ -83,8 +284,34 @@ const logLine = async ({id, text, decision, reason}) => {
     }
 };
 
+// Persist a keep/hide correction from the in-page feedback controls.
+// A newer label for the same tweet replaces the older one.
+const saveLabeledExample = async ({id, text, label}) => {
+    if (!id || !text || (label !== 'keep' && label !== 'hide')) {
+        throw new Error('Invalid labeled example');
+    }
+    
+    const result = await chrome.storage.local.get({labeledExamples: []});
+    const labeledExamples = (Array.isArray(result.labeledExamples) ? result.labeledExamples : [])
+        .filter(example => example.id !== id);
+    
+    labeledExamples.push({
+        id: String(id),
+        text: String(text).slice(0, 1000),
+        label,
+        ts: Date.now()
+    });
+    
+    // Oldest corrections drop out first
+    while (labeledExamples.length > MAX_LABELED_EXAMPLES) {
+        labeledExamples.shift();
+    }
+    
+    await chrome.storage.local.set({labeledExamples});
+};
+
 // Enhanced fallback classification with semantic analysis
-const fallbackClassification = (text, interests = []) => {
+const fallbackClassification = (text, interests = [], avoidedTopics = []) => {
     // Handle null/undefined text (but not empty string)
     if (text === null || text === undefined || typeof text !== 'string') {
         return {
@@ -108,7 +335,18 @@ const fallbackClassification = (text, interests = []) => {
         if (lowerText.includes(keyword)) {
             return {
                 isUninteresting: true,
-                reason: `Spam keyword: ${keyword}`
+                reason: `Spam keyword: ${keyword}`,
+                spamKeyword: keyword
+            };
+        }
+    }
+    
+    // Avoided topics beat any interest match
+    for (const topic of avoidedTopics) {
+        if (lowerText.includes(topic.toLowerCase())) {
+            return {
+                isUninteresting: true,
+                reason: `Avoided topic: ${topic}`
             };
         }
     }
@@ -206,6 +444,7 @@ async function setupOffscreenDocument() {
     if (existingContexts.length > 0) {
       // Document already exists, just notify it's ready
       await chrome.runtime.sendMessage({ type: 'OFFSCREEN_READY' });
+      await syncOffscreenState();
       return;
     }
 
@@ -223,13 +462,30 @@ async function setupOffscreenDocument() {
   }
 }
 
+// The service worker can restart while the offscreen document lives on
+const syncOffscreenState = async () => {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_OFFSCREEN_STATE' });
+    if (response?.state) {
+      offscreenState = response.state;
+      aiReady = offscreenState === 'embedding' || offscreenState === 'ready';
+    }
+  } catch (e) {
+    // No offscreen document yet
+  }
+};
+
+// The offscreen document queues CLASSIFY until its interest embeddings exist,
+// so it is worth asking once the model itself has loaded
+const canClassifyOffscreen = () => offscreenState === 'embedding' || offscreenState === 'ready';
+
 const broadcastStatus = async () => {
   const aiStatus = aiReady ? 'ready' : (isRunning ? 'loading' : 'stopped');
-  const message = { type: 'STATUS_UPDATE', payload: { isRunning, aiReady, aiStatus } };
+  const message = { type: 'STATUS_UPDATE', payload: { isRunning, aiReady, aiStatus, offscreenState } };
   try { 
     await chrome.runtime.sendMessage(message); 
     // Also update storage for popup initialization
-    await chrome.storage.local.set({ aiStatus });
+    await chrome.storage.local.set({ aiStatus, offscreenState });
   } catch (e) { 
     // Popup might not be open, ignore
     console.debug('No receivers for status update, popup likely closed');
@@ -251,7 +507,7 @@ const initializeAI = async () => {
     // Try to trigger model loading by sending a message to offscreen
     try {
       console.log('Triggering model preload...');
-      chrome.runtime.sendMessage({ type: 'PRELOAD_MODEL' });
+      chrome.runtime.sendMessage({ type: 'PRELOAD_MODEL', model: effectiveModel() });
     } catch (e) {
       console.log('Preload message not received (expected if offscreen not ready)');
     }
@@ -386,10 +642,223 @@ const forwardToContentScript = async (message) => {
 const startContentScript = async () => await forwardToContentScript({ type: 'START' });
 const stopContentScript = async () => await forwardToContentScript({ type: 'STOP' });
 
+// Classify one piece of text (and its images) locally, or with the keyword
+// fallback when the AI is unavailable. `photoUrls` are the tweet's photos,
+// which the offscreen document may OCR; `imageUrls` also include video frames.
+const classifyText = async (id, text, imageUrls = [], photoUrls = []) => {
+  if (canClassifyOffscreen()) {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'CLASSIFY', id, text, imageUrls, photoUrls });
+      if (result?.error) {
+        throw new Error(result.error);
+      }
+      if (result) return { ...result, source: 'ai' };
+    } catch (e) {
+      console.warn('Local AI classify failed, falling back', e);
+    }
+  }
+  // Keywords cannot judge an image-only tweet; leave it alone
+  if (text.trim().length < MIN_TEXT_LENGTH) {
+    return { isUninteresting: false, reason: 'No text', source: 'fallback' };
+  }
+  return {
+    ...fallbackClassification(text, cachedInterests.map(i => i.label), cachedAvoidedTopics),
+    source: 'fallback'
+  };
+};
+
+// Usage is read from storage every time, so a restarted worker cannot refill the budget
+const loadNativeActionTimes = async () => {
+  const { nativeActionTimes } = await chrome.storage.local.get('nativeActionTimes');
+  return pruneActionTimes(nativeActionTimes);
+};
+
+// Whether the hourly and daily budget still has room for a native X action
+const hasNativeActionBudget = async () => hasNativeBudget(await loadNativeActionTimes(), cachedNativeBudget);
+
+// Count a native action once X's menu was really clicked (NATIVE_ACTION);
+// updates are chained so concurrent reports are not lost
+let nativeTimesUpdate = Promise.resolve();
+const countNativeAction = (ts) => {
+  nativeTimesUpdate = nativeTimesUpdate.then(async () => {
+    const times = await loadNativeActionTimes();
+    await chrome.storage.local.set({ nativeActionTimes: [...times, Number.isFinite(ts) ? ts : Date.now()] });
+  }).catch(error => console.error('Failed to save native action times:', error));
+  return nativeTimesUpdate;
+};
+
+// Past-tense labels for the popup's activity log
+const ACTIVITY_LABELS = { hide: 'hidden', dim: 'dimmed', blur: 'blurred', keep: 'kept' };
+
+/**
+ * Log a classification, report it to the popup and act on the tweet.
+ * `result.action` ('hide' | 'dim' | 'blur' | 'keep') comes from user rules,
+ * category filters or the toxicity ceiling; otherwise it follows isUninteresting.
+ * `tabId` is the tab the tweet came from, when known.
+ */
+const applyDecision = async (id, text, result, tabId = null) => {
+  const action = result.action || (result.isUninteresting ? 'hide' : 'keep');
+
+  // Log the decision
+  try {
+    await logLine({
+      id: id || 'unknown',
+      text: text || '',
+      decision: action,
+      reason: result.reason || 'unknown',
+      matchedPhrase: result.matchedPhrase,
+      category: result.category,
+      toxicity: result.toxicity,
+      rule: result.rule,
+      quote: result.quote,
+      repostedBy: result.repostedBy,
+      image: result.image,
+      ocrText: result.ocrText,
+      domain: result.domain,
+      shadow: cachedShadowMode
+    });
+  } catch (logError) {
+    console.error('Failed to log decision:', logError);
+  }
+
+  // Send result for logging to popup (if open)
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'ACTIVITY_LOG',
+      payload: {
+        tweetText: text || 'No text available',
+        decision: ACTIVITY_LABELS[action],
+        reason: result.reason,
+        shadow: cachedShadowMode
+      }
+    });
+  } catch (e) {
+    // Popup might not be open
+  }
+
+  // Every processed tweet gets an explanation badge
+  await forwardToContentScript({
+    type: 'EXPLAIN_TWEET',
+    payload: { id, explanation: buildExplanation(action, result) }
+  });
+
+  // Forward to content script unless the tweet is kept. Hidden tweets go
+  // away the way the user picked for this kind of decision; in shadow mode
+  // MARK_TWEET is never sent and the tweet is only outlined.
+  if (action !== 'keep') {
+    const hide = action === 'hide'
+      ? { mode: cachedHideModes[decisionCategory(result)], label: hideLabel(result) }
+      : {};
+    // Training sessions exist to teach X's algorithm, so they always use its
+    // menu - but only for tweets from the session's own tab
+    const autopilotTweet = action === 'hide' && tabId !== null && autopilotSession?.tabId === tabId;
+    if (autopilotTweet) {
+      hide.mode = 'native';
+    }
+    // Once the native budget is used up, hide locally instead of clicking X's menu
+    if (!cachedShadowMode && hide.mode === 'native' && !(await hasNativeActionBudget())) {
+      console.debug(`Native action budget exhausted, collapsing ${id} instead`);
+      hide.mode = 'collapse';
+    }
+    const mark = {
+      type: cachedShadowMode ? 'SHADOW_TWEET' : 'MARK_TWEET',
+      payload: { id, isUninteresting: action === 'hide', action, ...hide }
+    };
+    if (autopilotTweet) {
+      try {
+        await chrome.tabs.sendMessage(tabId, mark);
+      } catch (e) {
+        console.debug(`Autopilot tab ${tabId} is gone:`, e.message);
+      }
+    } else {
+      await forwardToContentScript(mark);
+    }
+  }
+};
+
+// Session list of "Not interested" clicks, for the popup's undo list
+const saveNativeAction = async (action) => {
+  const { nativeActions } = await chrome.storage.session.get('nativeActions');
+  await chrome.storage.session.set({ nativeActions: recordNativeAction(nativeActions, action) });
+};
+
+// Ask the tab that sent the signal to undo it; returns how it was undone
+const undoNativeAction = async (id) => {
+  const { nativeActions = [] } = await chrome.storage.session.get('nativeActions');
+  const action = findUndoable(nativeActions, id);
+  if (!action) throw new Error('No action to undo');
+
+  let undone = 'missing';
+  if (action.tabId !== null) {
+    try {
+      const response = await chrome.tabs.sendMessage(action.tabId, { type: 'UNDO_NATIVE_ACTION', payload: { id } });
+      undone = response?.undone || 'missing';
+    } catch (e) {
+      console.debug(`Tab ${action.tabId} is gone, cannot undo on the page:`, e.message);
+    }
+  }
+  await chrome.storage.session.set({ nativeActions: markUndone(nativeActions, id, undone) });
+  return undone;
+};
+
+// Start a training session on the active X tab, starting curation if needed.
+// Not in a dry run: autopilot scrolls the timeline and sends actions to X.
+const startAutopilot = async (settings) => {
+  if (cachedShadowMode) throw new Error('Turn off the dry run to use autopilot');
+  if (autopilotSession) throw new Error('Autopilot is already running');
+  await startCuration();
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!isRunning || !tab) throw new Error('Open your X timeline in the current tab first');
+
+  const { maxTweets, maxMinutes } = normalizeAutopilotSettings(settings);
+  autopilotSession = { tabId: tab.id, startedAt: Date.now(), maxTweets, maxMinutes };
+  await chrome.storage.session.set({ autopilot: autopilotSession, autopilotSummary: null });
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'START_AUTOPILOT', payload: { maxTweets, maxMinutes } });
+  } catch (error) {
+    await finishAutopilot(null);
+    throw error;
+  }
+};
+
+// The session ends here at once; the tab finishes its queued actions and
+// reports the summary with AUTOPILOT_DONE, if it still can
+const stopAutopilot = async () => {
+  if (!autopilotSession) return;
+  const { tabId } = autopilotSession;
+  await finishAutopilot(null);
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'STOP_AUTOPILOT' });
+  } catch (error) {
+    console.debug('Autopilot tab is gone:', error.message);
+  }
+};
+
+/**
+ * End the session; `summary` (from content.js) is shown in the popup.
+ * @param {number} [tabId] Tab reporting the end; a late report from an older
+ *   session's tab only stores its summary
+ */
+const finishAutopilot = async (summary, tabId = autopilotSession?.tabId) => {
+  if (autopilotSession?.tabId === tabId) {
+    autopilotSession = null;
+  }
+  await chrome.storage.session.set({ autopilot: autopilotSession, autopilotSummary: summary });
+};
+
+// A reloaded or closed autopilot tab can no longer report, so its session ends here
+const endAutopilotForTab = async (tabId) => {
+  await settingsLoaded;
+  if (autopilotSession?.tabId !== tabId) return;
+  console.log('Autopilot tab closed or reloaded, ending the session');
+  await finishAutopilot(null, tabId).catch(error => console.error('Failed to end autopilot:', error));
+};
+
 // Main message listener for all parts of the extension
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const handleMessage = async () => {
     try {
+      await settingsLoaded;
       switch (message.type) {
         case 'START_CURATION': 
           await startCuration().catch(error => {
@@ -410,72 +879,123 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           sendResponse({ success: true });
           break;
 
+        case 'OFFSCREEN_STATE':
+          offscreenState = message.payload?.state || 'idle';
+          console.log('Offscreen state:', offscreenState);
+          await broadcastStatus();
+          sendResponse({ success: true });
+          break;
+
         case 'EVALUATE_TWEET':
           if (isRunning) {
-            const { id, text } = message.payload;
+            // `tweet` is the structured extraction from content.js; only its body is classified
+            const { id, tweet = {}, videoFrames = [] } = message.payload;
+            // A link card's title and description say what a link-only tweet is about
+            const cardText = [tweet.card?.title, tweet.card?.description].filter(Boolean).join('. ');
+            const text = [tweet.text, cardText].filter(Boolean).join('\n');
+            // Photos and sampled video frames go through the same image scorer
+            const media = [...(tweet.imageUrls || []), ...videoFrames];
             
             let classificationResult;
-            if (isModelReady()) {
-              try {
-                classificationResult = await chrome.runtime.sendMessage({
-                  type: 'CLASSIFY',
-                  id,
-                  text,
-                });
-              } catch (e) {
-                console.warn('Local AI classify failed, falling back', e);
-              }
-            }
-            if (!classificationResult) {
-              classificationResult = fallbackClassification(text, cachedInterests);
+            // User rules are deterministic overrides: the first match skips the AI
+            const rule = evaluateRules(cachedRules, tweet);
+            // Domain lists come next: always keep (allow) or hide (block) tweets linking there
+            const domainMatch = rule ? null : matchDomainLists(cachedDomainLists, tweet);
+            if (rule) {
+              classificationResult = {
+                isUninteresting: rule.action === 'hide',
+                action: rule.action,
+                reason: `Rule: ${rule.name}`,
+                rule: { id: rule.id, name: rule.name },
+                source: 'rule'
+              };
+            } else if (domainMatch) {
+              const action = domainMatch.list === 'allow' ? 'keep' : 'hide';
+              classificationResult = {
+                isUninteresting: action === 'hide',
+                action,
+                reason: `Domain ${domainMatch.list}list: ${domainMatch.domain}`,
+                domain: domainMatch,
+                source: 'domain'
+              };
+            } else if (tweet.quoted?.text) {
+              // Quote tweet: judge the comment and the quoted tweet on their own
+              const comment = text.length >= MIN_COMMENT_LENGTH ? await classifyText(id, text, media, tweet.imageUrls) : null;
+              const quoted = await classifyText(`${id}:quoted`, tweet.quoted.text);
+              classificationResult = combineQuoteResults(comment, quoted, cachedQuoteMode);
+            } else {
+              classificationResult = await classifyText(id, text, media, tweet.imageUrls);
             }
             
-            // Log the decision
-            try {
-              await logLine({
-                id: id || 'unknown',
-                text: text || '',
-                decision: classificationResult.isUninteresting ? 'hide' : 'keep',
-                reason: classificationResult.reason || 'unknown'
-              });
-            } catch (logError) {
-              console.error('Failed to log decision:', logError);
-            }
-            
-            // Send result for logging to popup (if open)
-            try {
-              await chrome.runtime.sendMessage({ 
-                type: 'ACTIVITY_LOG', 
-                payload: {
-                  tweetText: text || 'No text available',
-                  decision: classificationResult.isUninteresting ? 'hidden' : 'kept',
-                  reason: classificationResult.reason
-                }
-              });
-            } catch (e) {
-              // Popup might not be open
-            }
-            
-            // Forward to content script if tweet should be hidden
-            if (classificationResult.isUninteresting) {
-              await forwardToContentScript({ 
-                type: 'MARK_TWEET', 
-                payload: { id, isUninteresting: true }
-              });
-            }
+            await applyDecision(id, text || tweet.quoted?.text, { ...classificationResult, repostedBy: tweet.repostedBy }, sender.tab?.id ?? null);
           }
           sendResponse({ success: true });
           break;
           
+        case 'START_AUTOPILOT':
+          try {
+            await startAutopilot(message.payload || {});
+            sendResponse({ success: true });
+          } catch (error) {
+            console.error('Failed to start autopilot:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'STOP_AUTOPILOT':
+          await stopAutopilot();
+          sendResponse({ success: true });
+          break;
+
+        case 'AUTOPILOT_DONE':
+          await finishAutopilot(message.payload || null, sender.tab?.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'CHECK_NATIVE_BUDGET':
+          sendResponse({ success: true, allowed: await hasNativeActionBudget() });
+          break;
+
+        case 'NATIVE_ACTION':
+          try {
+            await countNativeAction(message.payload?.ts);
+            await saveNativeAction({ ...(message.payload || {}), tabId: sender.tab?.id });
+            sendResponse({ success: true });
+          } catch (error) {
+            console.error('Failed to record native action:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'UNDO_NATIVE_ACTION':
+          try {
+            const undone = await undoNativeAction(message.payload?.id);
+            sendResponse({ success: true, undone });
+          } catch (error) {
+            console.error('Failed to undo native action:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'LABEL_TWEET':
+          try {
+            await saveLabeledExample(message.payload || {});
+            sendResponse({ success: true });
+          } catch (error) {
+            console.error('Failed to save labeled example:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+          
         case 'AI_READY':
           aiReady = true;
-          // Send current interests + spam list to offscreen
-          chrome.runtime.sendMessage({
-            type: 'SET_INTERESTS',
-            interests: cachedInterests,
-            spamKeywords,
-            threshold: SIM_THRESHOLD
-          });
+          // Send current interests + spam list + user corrections to offscreen
+          sendInterestsToOffscreen();
+          sendLabeledExamplesToOffscreen();
+          sendCategoriesToOffscreen();
+          sendToxicityFilterToOffscreen();
+          sendMediaSettingsToOffscreen();
+          await sendBatchConfigToOffscreen();
           await broadcastStatus();
           if (isRunning) startContentScript();
           sendResponse({ success: true });
@@ -484,41 +1004,8 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         case 'CLASSIFICATION_RESULT':
           // Handle results from offscreen classification
           if (isRunning && message.payload) {
-            const { id, isUninteresting, reason, text } = message.payload;
-            
-            // Log the decision
-            try {
-              await logLine({
-                id: id || 'unknown',
-                text: text || '',
-                decision: isUninteresting ? 'hide' : 'keep',
-                reason: reason || 'unknown'
-              });
-            } catch (logError) {
-              console.error('Failed to log decision:', logError);
-            }
-            
-            // Send result for logging to popup (if open)
-            try {
-              await chrome.runtime.sendMessage({ 
-                type: 'ACTIVITY_LOG', 
-                payload: {
-                  tweetText: text || 'No text available',
-                  decision: isUninteresting ? 'hidden' : 'kept',
-                  reason: reason
-                }
-              });
-            } catch (e) {
-              // Popup might not be open
-            }
-            
-            // Forward to content script if tweet should be hidden
-            if (isUninteresting) {
-              await forwardToContentScript({ 
-                type: 'MARK_TWEET', 
-                payload: { id, isUninteresting: true }
-              });
-            }
+            const { id, text, ...result } = message.payload;
+            await applyDecision(id, text, result);
           }
           sendResponse({ success: true });
           break;
@@ -612,12 +1099,14 @@ chrome.alarms.onAlarm.addListener((alarm) => {
 // Clean up connection tracking when tabs are closed
 chrome.tabs.onRemoved.addListener((tabId) => {
   connectedTabs.delete(tabId);
+  endAutopilotForTab(tabId);
 });
 
 // Clean up connection tracking when tabs are updated (page navigation)
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.status === 'loading') {
     connectedTabs.delete(tabId);
+    endAutopilotForTab(tabId);
   }
 });
 
@@ -625,7 +1114,8 @@ chrome.runtime.onStartup.addListener(async () => {
   try {
     isRunning = false;
     aiReady = false;
-    await chrome.storage.local.set({ isRunning: false, aiStatus: 'stopped' });
+    offscreenState = 'idle';
+    await chrome.storage.local.set({ isRunning: false, aiStatus: 'stopped', offscreenState });
     await initializeCachedInterests();
     await broadcastStatus();
     console.log('Extension startup: Reset state');
@@ -641,7 +1131,7 @@ chrome.runtime.onInstalled.addListener(async () => {
         await chrome.storage.local.set({ 
             isRunning: false,
             aiStatus: 'stopped',
-            interests: ['technology', 'science', 'finance', 'ai', 'music', 'startups', 'venture capital', 'semiconductors', 'gpus', 'computer hardware', 'computer software'] 
+            interests: normalizeInterests(['technology', 'science', 'finance', 'ai', 'music', 'startups', 'venture capital', 'semiconductors', 'gpus', 'computer hardware', 'computer software'])
         });
         await initializeCachedInterests();
         await broadcastStatus();
@@ -0,0 +1,67 @@
+/**
+ * Batch Queue - Micro-batches individual requests into one model call
+ * Features:
+ * - Collects items for up to `maxLatencyMs` or until `maxBatchSize` is reached
+ * - Runs one batch at a time; items arriving meanwhile form the next batch
+ * - Resolves (or rejects) each caller's promise with its own result
+ */
+
+export const DEFAULT_BATCH_SIZE = 16;
+export const DEFAULT_BATCH_LATENCY_MS = 10;
+
+const positiveInt = (value, fallback) => {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 1 ? n : fallback;
+};
+
+/**
+ * @param {(items: any[]) => Promise<any[]>} runBatch Processes items, returning results in the same order
+ * @param {{ maxBatchSize?: number, maxLatencyMs?: number }} [options]
+ */
+export const createBatchQueue = (runBatch, options = {}) => {
+  let maxBatchSize = DEFAULT_BATCH_SIZE;
+  let maxLatencyMs = DEFAULT_BATCH_LATENCY_MS;
+  let pending = [];
+  let timer = null;
+  let running = false;
+
+  const configure = (next = {}) => {
+    maxBatchSize = positiveInt(next.maxBatchSize, maxBatchSize);
+    // A latency budget of 0 still yields to the event loop once
+    const latency = Number(next.maxLatencyMs);
+    maxLatencyMs = Number.isFinite(latency) && latency >= 0 ? latency : maxLatencyMs;
+  };
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (running) return; // The in-flight batch drains the queue when it finishes
+
+    const batch = pending.splice(0, maxBatchSize);
+    if (!batch.length) return;
+
+    running = true;
+    try {
+      const results = await runBatch(batch.map(p => p.item));
+      batch.forEach((p, i) => p.resolve(results[i]));
+    } catch (err) {
+      batch.forEach(p => p.reject(err));
+    } finally {
+      running = false;
+      // Anything queued meanwhile has already waited for a whole batch
+      if (pending.length) flush();
+    }
+  };
+
+  const push = (item) => new Promise((resolve, reject) => {
+    pending.push({ item, resolve, reject });
+    if (pending.length >= maxBatchSize) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, maxLatencyMs);
+    }
+  });
+
+  configure(options);
+  return { push, configure };
+};
@@ -0,0 +1,54 @@
+/**
+ * Category filter helpers shared by the background worker, the offscreen
+ * document and the popup.
+ * A category filter is a named label scored by the local zero-shot model:
+ * { label, enabled, action: 'hide' | 'dim' | 'keep', cutoff }.
+ */
+
+export const CATEGORY_ACTIONS = ['hide', 'dim', 'keep'];
+export const DEFAULT_CATEGORY_CUTOFF = 0.8;
+
+export const DEFAULT_CATEGORY_FILTERS = [
+  { label: 'rage bait', enabled: false, action: 'hide', cutoff: DEFAULT_CATEGORY_CUTOFF },
+  { label: 'politics', enabled: false, action: 'dim', cutoff: DEFAULT_CATEGORY_CUTOFF },
+  { label: 'giveaways', enabled: false, action: 'hide', cutoff: DEFAULT_CATEGORY_CUTOFF },
+  { label: 'sports scores', enabled: false, action: 'hide', cutoff: DEFAULT_CATEGORY_CUTOFF }
+];
+
+export const normalizeCategoryFilter = (entry) => {
+  if (!entry || typeof entry.label !== 'string' || !entry.label.trim()) return null;
+  const cutoff = Number(entry.cutoff);
+  return {
+    label: entry.label.trim().toLowerCase(),
+    enabled: !!entry.enabled,
+    action: CATEGORY_ACTIONS.includes(entry.action) ? entry.action : 'hide',
+    cutoff: Number.isFinite(cutoff) ? Math.min(1, Math.max(0, cutoff)) : DEFAULT_CATEGORY_CUTOFF
+  };
+};
+
+// Stored filters, or the built-in (disabled) defaults on first use
+export const normalizeCategoryFilters = (list) => {
+  if (!Array.isArray(list)) return DEFAULT_CATEGORY_FILTERS.map(f => ({ ...f }));
+  const seen = new Set();
+  const result = [];
+  for (const entry of list) {
+    const filter = normalizeCategoryFilter(entry);
+    if (filter && !seen.has(filter.label)) {
+      seen.add(filter.label);
+      result.push(filter);
+    }
+  }
+  return result;
+};
+
+/**
+ * The highest-scoring filter that clears its own cutoff, given zero-shot
+ * output ({ labels, scores }, sorted by score, highest first), or null.
+ */
+export const pickCategory = (filters, { labels, scores }) => {
+  for (let i = 0; i < labels.length; i++) {
+    const filter = filters.find(c => c.label === labels[i]);
+    if (filter && scores[i] >= filter.cutoff) return { ...filter, score: scores[i] };
+  }
+  return null;
+};
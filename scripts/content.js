@@ -3,14 +3,56 @@ const SELECTORS = {
     MORE_BUTTON: 'article [aria-haspopup="menu"], div[data-testid="caret"], button[aria-label*="More"]',
     MENU_ITEM: 'div[role="menuitem"], [role="menu"] div[role="menuitem"]',
     TWEET_PHOTO: 'div[data-testid="tweetPhoto"] img, [data-testid="tweetPhoto"] img',
-    VIDEO_PLAYER: 'div[data-testid="videoPlayer"] video, video'
+    VIDEO_PLAYER: 'div[data-testid="videoPlayer"] video, video',
+    USER_NAME: '[data-testid="User-Name"]',
+    SOCIAL_CONTEXT: '[data-testid="socialContext"]',
+    TWEET_TEXT: '[data-testid="tweetText"]',
+    VERIFIED_BADGE: '[data-testid="icon-verified"]',
+    ACTION_BAR: 'div[role="group"][aria-label]',
+    CARD: '[data-testid="card.wrapper"]',
+    CARD_DETAIL: '[data-testid="card.layoutSmall.detail"], [data-testid="card.layoutLarge.detail"]',
+    CELL: '[data-testid="cellInnerDiv"]',
+    // The primary column outlives the timeline inside it (For you / Following switches)
+    TIMELINE: '[data-testid="primaryColumn"], div[aria-label^="Timeline"]',
+    TOAST: '[data-testid="toast"]'
 };
 
 const TWEET_ID_ATTR = 'data-curator-id';
 const PROCESSED_ATTR = 'data-curator-processed';
+const FEEDBACK_CLASS = 'curator-feedback';
 
-let mainLoopInterval = null;
+const VIDEO_FRAME_COUNT = 3;       // frames sampled from a playing video
+const VIDEO_FRAME_BUDGET_MS = 800; // per tweet, so feed processing never stalls on video
+const FRAME_SIZE = 224;            // CLIP's input resolution; keeps messages small
+
+let sweepInterval = null; // set while tweet discovery runs
+let navigationObserver = null;
 let isTwitterPage = false;
+let imageScoring = false; // mediaSettings.imageScoring; frames are useless without it
+// Running training session: { maxTweets, startedAt, deadline, timer, summary }.
+// Outside of it the extension never scrolls.
+let autopilot = null;
+
+// Tweets the user revealed by hand are never hidden again in this tab session.
+// X re-renders tweets as they scroll back into view, so this is keyed by tweet id.
+const REVEALED_KEY = 'curator-revealed';
+const MAX_REVEALED = 500;
+const revealedIds = new Set((() => {
+    try {
+        return JSON.parse(sessionStorage.getItem(REVEALED_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+})());
+
+const rememberRevealed = (id) => {
+    revealedIds.add(id);
+    try {
+        sessionStorage.setItem(REVEALED_KEY, JSON.stringify([...revealedIds].slice(-MAX_REVEALED)));
+    } catch (e) {
+        console.debug('Failed to persist revealed tweets:', e);
+    }
+};
 
 // Check if we're on a Twitter/X feed page
 const checkIfTwitterFeed = () => {
@@ -49,103 +91,404 @@ const getTweetId = (tweet, text, imageUrls) => {
     return `tweet-${hash}`;
 };
 
-const extractVideoFrames = async (videoUrl) => {
-    return new Promise((resolve) => {
-        const video = document.createElement('video');
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        video.src = videoUrl;
-        video.crossOrigin = "anonymous";
-        video.muted = true;
-
-        const cleanup = () => {
-            video.remove();
-            canvas.remove();
-        };
-
-        video.onloadeddata = () => {
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            video.currentTime = video.duration * 0.1;
-        };
-        
-        video.onseeked = () => {
-            context.drawImage(video, 0, 0, canvas.width, canvas.height);
-            const frame = canvas.toDataURL('image/jpeg', 0.5);
-            cleanup();
-            resolve([frame]);
-        };
-
-        video.onerror = () => {
-            cleanup();
-            resolve([]);
-        };
-
-        setTimeout(() => {
-            cleanup();
-            resolve([]);
-        }, 5000);
-    });
+// Sample frames the image scorer can read. X streams video through MSE
+// blob: sources without CORS, so a second <video> cannot load them; the
+// poster image and the page's own (already decoding) element always work.
+const captureFrame = (video) => {
+    if (video.readyState < 2 || !video.videoWidth) return null;
+    const scale = FRAME_SIZE / Math.min(video.videoWidth, video.videoHeight);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    try {
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (e) {
+        return null; // Tainted canvas: cross-origin media after all
+    }
 };
 
-const processFeed = async () => {
-    try {
-        // Only process if we're on a feed page
-        if (!checkIfTwitterFeed()) {
-            return;
+/**
+ * Poster URL plus up to VIDEO_FRAME_COUNT frames grabbed while the video
+ * plays, spread over the per-tweet budget. A paused video yields one frame.
+ */
+const sampleVideoFrames = async (video, budgetMs = VIDEO_FRAME_BUDGET_MS) => {
+    const frames = [];
+    if (video.poster && video.poster.startsWith('http')) {
+        frames.push(video.poster);
+    }
+
+    const deadline = Date.now() + budgetMs;
+    let lastTime = null;
+    for (let i = 0; i < VIDEO_FRAME_COUNT; i++) {
+        if (video.currentTime !== lastTime) {
+            const frame = captureFrame(video);
+            if (frame) {
+                frames.push(frame);
+                lastTime = video.currentTime;
+            }
         }
-        
-        const tweets = document.querySelectorAll(`${SELECTORS.TWEET}:not([${PROCESSED_ATTR}])`);
-        
-        if (tweets.length === 0) {
-            return;
+        const remaining = deadline - Date.now();
+        if (video.paused || remaining <= 0) break;
+        await new Promise(resolve => setTimeout(resolve, Math.min(remaining, budgetMs / VIDEO_FRAME_COUNT)));
+    }
+    return frames;
+};
+
+// Links pointing back into X (mentions, hashtags) are not outbound links
+const isInternalLink = (url) => /^https?:\/\/(www\.)?(x|twitter)\.com\//.test(url);
+
+// Visible text of an element, with emoji images read from their alt text
+const readText = (element) => {
+    if (!element) return '';
+    let text = '';
+    for (const node of element.childNodes) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            text += node.textContent;
+        } else if (node.nodeName === 'IMG') {
+            text += node.alt || '';
+        } else if (node.nodeName === 'BR') {
+            text += '\n';
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+            text += readText(node);
         }
-        
-        for (const tweet of tweets) {
-            try {
-                tweet.setAttribute(PROCESSED_ATTR, 'true');
-
-                const text = tweet.innerText || tweet.textContent || '';
-                if (text.trim().length < 10) {
-                    continue; // Skip very short tweets
-                }
-                
-                const imageUrls = Array.from(tweet.querySelectorAll(SELECTORS.TWEET_PHOTO))
-                    .map(img => img.src)
-                    .filter(src => src && src.startsWith('http'));
-                
-                let videoFrames = [];
-                const videoEl = tweet.querySelector(SELECTORS.VIDEO_PLAYER);
-                if (videoEl && videoEl.src) {
-                    try {
-                        videoFrames = await extractVideoFrames(videoEl.src);
-                    } catch (e) {
-                        console.debug('Failed to extract video frames:', e);
-                    }
-                }
-
-                const id = getTweetId(tweet, text, imageUrls);
-                tweet.setAttribute(TWEET_ID_ATTR, id);
+    }
+    return text;
+};
+
+// "1,234" / "1.2K" / "3M" -> number
+const parseCount = (value) => {
+    const match = String(value).replace(/,/g, '').match(/([\d.]+)\s*([KM])?/i);
+    if (!match) return 0;
+    const multiplier = { K: 1e3, M: 1e6 }[(match[2] || '').toUpperCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+};
+
+// Handle shown in an author block ("@alice")
+const readHandle = (userName) => userName
+    ? Array.from(userName.querySelectorAll('span'))
+        .map(span => span.textContent.trim())
+        .find(t => t.startsWith('@')) || ''
+    : '';
+
+// "Alice reposted": the social context links to the reposter's profile
+const readReposter = (socialContext) => {
+    if (!socialContext || !/reposted|retweeted/i.test(socialContext.textContent)) return null;
+    const link = socialContext.closest('a[href]') || socialContext.querySelector('a[href]');
+    const path = link?.getAttribute('href') || '';
+    if (path.startsWith('/')) return `@${path.slice(1).split('/')[0]}`;
+    return socialContext.textContent.replace(/\s*(reposted|retweeted)\s*$/i, '').trim();
+};
+
+// The action bar's aria-label reads like "12 replies, 34 reposts, 567 likes, 8 bookmarks, 9012 views"
+const extractCounts = (tweet) => {
+    const counts = { replies: 0, reposts: 0, likes: 0, bookmarks: 0, views: 0 };
+    const label = tweet.querySelector(SELECTORS.ACTION_BAR)?.getAttribute('aria-label') || '';
+    const keys = { repl: 'replies', repost: 'reposts', retweet: 'reposts', like: 'likes', bookmark: 'bookmarks', view: 'views' };
+    for (const [, number, word] of label.matchAll(/([\d.,]+[KM]?)\s+(repl|repost|retweet|like|bookmark|view)/gi)) {
+        counts[keys[word.toLowerCase()]] = parseCount(number);
+    }
+    return counts;
+};
+
+const DOMAIN_PATTERN = /^(?:From\s+)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)$/i;
+
+// Link card: domain, title and description. Small cards list them in the detail
+// block; large cards may only show "From domain" over the image and put the
+// title in the link's aria-label.
+const extractCard = (card) => {
+    if (!card) return null;
+    const link = card.querySelector('a[href]');
+    const detail = card.querySelector(SELECTORS.CARD_DETAIL);
+    const lines = (detail
+        ? Array.from(detail.children).map(readText)
+        : Array.from(card.querySelectorAll('span')).map(span => span.textContent))
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    const domainLine = lines.find(line => DOMAIN_PATTERN.test(line));
+    const domain = domainLine ? domainLine.match(DOMAIN_PATTERN)[1].toLowerCase() : '';
+    const texts = [...new Set(lines.filter(line => !DOMAIN_PATTERN.test(line)))];
+    let title = texts[0] || '';
+    if (!title) {
+        const label = link?.getAttribute('aria-label') || '';
+        title = label.split(/\s+/)[0].toLowerCase() === domain ? label.split(/\s+/).slice(1).join(' ') : label;
+    }
+    return {
+        title: title.trim(),
+        description: texts.slice(1).join(' ').trim(),
+        domain,
+        url: link?.href || ''
+    };
+};
+
+/**
+ * Structured view of a tweet article. `text` is the tweet body alone, without
+ * the author line, timestamp, counts or "Show more", so only the body gets
+ * embedded and keyword-checked.
+ */
+const extractTweet = (tweet) => {
+    const userNames = tweet.querySelectorAll(SELECTORS.USER_NAME);
+    const userName = userNames[0];
+    // A quoted tweet brings its own author block; its parts are not the tweet's own
+    const quoteRoot = userNames[1]?.closest('div[role="link"]') || null;
+    const own = (selector) => Array.from(tweet.querySelectorAll(selector))
+        .filter(el => !quoteRoot || !quoteRoot.contains(el));
+
+    const bodyEl = own(SELECTORS.TWEET_TEXT)[0];
+    const bodyLinks = bodyEl ? Array.from(bodyEl.querySelectorAll('a[href]')) : [];
+
+    const imageUrls = own(SELECTORS.TWEET_PHOTO)
+        .map(img => img.src)
+        .filter(src => src && src.startsWith('http'));
+    const repostedBy = readReposter(tweet.querySelector(SELECTORS.SOCIAL_CONTEXT));
+    const card = extractCard(own(SELECTORS.CARD)[0]);
+
+    return {
+        text: readText(bodyEl).trim(),
+        handle: readHandle(userName),
+        displayName: userName ? readText(userName.querySelector('a') || userName).split('\n')[0].trim() : '',
+        verified: !!userName?.querySelector(SELECTORS.VERIFIED_BADGE),
+        timestamp: own('time[datetime]')[0]?.getAttribute('datetime') || null,
+        isReply: own('div').some(div => div.textContent.startsWith('Replying to')),
+        isRepost: !!repostedBy,
+        repostedBy,
+        isQuote: !!quoteRoot,
+        // Classified separately from the quoting comment
+        quoted: quoteRoot ? {
+            text: readText(quoteRoot.querySelector(SELECTORS.TWEET_TEXT)).trim(),
+            handle: readHandle(userNames[1])
+        } : null,
+        counts: extractCounts(tweet),
+        hashtags: bodyLinks
+            .filter(a => a.href.includes('/hashtag/'))
+            .map(a => a.textContent.trim().replace(/^#/, '')),
+        mentions: bodyLinks
+            .map(a => a.textContent.trim())
+            .filter(t => t.startsWith('@')),
+        // t.co links show the expanded URL as their text
+        urls: bodyLinks
+            .filter(a => !isInternalLink(a.href))
+            .map(a => /^https?:\/\/t\.co\//.test(a.href)
+                ? `https://${a.textContent.trim().replace(/^https?:\/\//, '').replace(/…$/, '')}`
+                : a.href),
+        // Link-only tweets carry their meaning here; classified with the body
+        card,
+        imageUrls,
+        hasMedia: imageUrls.length > 0 || own(SELECTORS.VIDEO_PLAYER).length > 0
+    };
+};
+
+// "Should have kept" / "should have hidden" buttons so the user can correct a decision.
+// They stay visible on collapsed placeholders (see collapseTweet).
+const injectFeedbackControls = (tweet, id, text) => {
+    if (tweet.querySelector(`.${FEEDBACK_CLASS}`)) return;
+
+    const container = document.createElement('div');
+    container.className = FEEDBACK_CLASS;
+    // pointer-events:auto keeps the controls clickable once a hidden tweet is dimmed
+    container.style.cssText = 'display:flex;gap:6px;justify-content:flex-end;padding:2px 12px 6px;' +
+        'font-size:11px;opacity:0.6;pointer-events:auto;';
 
+    const makeButton = (label, title, value) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.style.cssText = 'background:none;border:1px solid #ccd6dd;border-radius:10px;' +
+            'padding:1px 8px;cursor:pointer;color:inherit;font-size:11px;';
+        button.addEventListener('click', async (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            try {
                 await chrome.runtime.sendMessage({
-                    type: 'EVALUATE_TWEET',
-                    payload: { id, text, imageUrls, videoFrames }
+                    type: 'LABEL_TWEET',
+                    payload: { id, text, label: value }
                 });
+                container.textContent = value === 'keep' ? 'Curator: will keep more like this' : 'Curator: will hide more like this';
             } catch (e) {
-                console.error('Error processing tweet:', e);
+                console.debug('Failed to send feedback label:', e);
             }
+        });
+        return button;
+    };
+
+    container.append(
+        makeButton('✓ Keep', 'Should have kept', 'keep'),
+        makeButton('✕ Hide', 'Should have hidden', 'hide')
+    );
+    tweet.appendChild(container);
+};
+
+// Classify one tweet article; each article is evaluated once
+const processTweet = async (tweet) => {
+    if (!tweet.isConnected || tweet.hasAttribute(PROCESSED_ATTR)) return;
+    try {
+        tweet.setAttribute(PROCESSED_ATTR, 'true');
+        viewportObserver?.unobserve(tweet);
+
+        const data = extractTweet(tweet);
+        const { text, imageUrls } = data;
+        if (text.length < 10 && (data.quoted?.text || '').length < 10 && !data.hasMedia && !data.card?.title) {
+            return; // Skip very short tweets (bare quotes, images and link cards still say something)
         }
         
-        // Only scroll if we processed tweets and we're near the bottom
-        const isNearBottom = (window.innerHeight + window.scrollY) >= document.body.offsetHeight - 1000;
-        if (tweets.length > 0 && isNearBottom) {
-            window.scrollBy(0, Math.min(200, window.innerHeight * 0.2));
+        let videoFrames = [];
+        const videoEl = tweet.querySelector(SELECTORS.VIDEO_PLAYER);
+        if (videoEl && imageScoring) {
+            try {
+                videoFrames = await sampleVideoFrames(videoEl);
+            } catch (e) {
+                console.debug('Failed to sample video frames:', e);
+            }
+        }
+
+        const id = getTweetId(tweet, text, imageUrls);
+        tweet.setAttribute(TWEET_ID_ATTR, id);
+        injectFeedbackControls(tweet, id, text);
+
+        await chrome.runtime.sendMessage({
+            type: 'EVALUATE_TWEET',
+            payload: { id, tweet: data, videoFrames }
+        });
+    } catch (e) {
+        console.error('Error processing tweet:', e);
+    }
+};
+
+/* ------------------------------------------------ *
+ * Tweet discovery                                  *
+ *   A MutationObserver on the timeline queues new  *
+ *   articles (debounced); an IntersectionObserver  *
+ *   moves the ones on or near screen to the front; *
+ *   a slow sweep catches anything both missed.     *
+ * ------------------------------------------------ */
+const DISCOVERY_DEBOUNCE_MS = 100;
+const SWEEP_INTERVAL_MS = 30000;
+const VIEWPORT_MARGIN = '300px 0px'; // tweets about to scroll in count as visible
+// Tweets awaiting a decision at once. The offscreen document embeds them in
+// micro-batches (default size 16), which only fill when requests overlap.
+const MAX_IN_FLIGHT = 16;
+
+let timelineObserver = null;
+let observedContainer = null;
+let viewportObserver = null;
+const pendingTweets = new Set();
+const visibleTweets = new WeakSet();
+let discoveryTimer = null;
+let inFlight = 0;
+
+// Next queued tweet, on-screen ones first
+const nextPendingTweet = () => {
+    let fallback = null;
+    for (const tweet of pendingTweets) {
+        if (!tweet.isConnected) {
+            pendingTweets.delete(tweet); // X recycled it before we got to it
+            continue;
+        }
+        if (visibleTweets.has(tweet)) return tweet;
+        fallback = fallback || tweet;
+    }
+    return fallback;
+};
+
+// Start queued tweets until MAX_IN_FLIGHT are being evaluated; each one that
+// finishes frees its slot for the next
+const drainPendingTweets = () => {
+    let tweet;
+    while (inFlight < MAX_IN_FLIGHT && sweepInterval && checkIfTwitterFeed() && (tweet = nextPendingTweet())) {
+        pendingTweets.delete(tweet);
+        inFlight++;
+        processTweet(tweet).finally(() => {
+            inFlight--;
+            drainPendingTweets();
+        });
+    }
+};
+
+const enqueueTweets = (tweets) => {
+    let added = false;
+    for (const tweet of tweets) {
+        if (tweet.hasAttribute(PROCESSED_ATTR) || pendingTweets.has(tweet)) continue;
+        pendingTweets.add(tweet);
+        viewportObserver?.observe(tweet);
+        added = true;
+    }
+    if (!added) return;
+    // Give the viewport observer a moment to report before picking the order
+    clearTimeout(discoveryTimer);
+    discoveryTimer = setTimeout(drainPendingTweets, DISCOVERY_DEBOUNCE_MS);
+};
+
+const collectAddedTweets = (mutations) => {
+    const tweets = [];
+    for (const mutation of mutations) {
+        for (const node of mutation.addedNodes) {
+            if (node.nodeType !== Node.ELEMENT_NODE) continue;
+            if (node.matches(SELECTORS.TWEET)) {
+                tweets.push(node);
+            } else {
+                tweets.push(...node.querySelectorAll(SELECTORS.TWEET));
+            }
         }
+    }
+    return tweets;
+};
+
+// (Re)attach the mutation observer when X swaps the timeline container
+const observeTimeline = () => {
+    const container = document.querySelector(SELECTORS.TIMELINE) || document.body;
+    if (container === observedContainer && container.isConnected) return;
+    timelineObserver?.disconnect();
+    timelineObserver = new MutationObserver(mutations => enqueueTweets(collectAddedTweets(mutations)));
+    timelineObserver.observe(container, { childList: true, subtree: true });
+    observedContainer = container;
+};
+
+// Safety sweep: queue any tweet the observers missed
+const processFeed = () => {
+    try {
+        // Only process if we're on a feed page
+        if (!checkIfTwitterFeed()) {
+            return;
+        }
+        observeTimeline();
+        enqueueTweets(document.querySelectorAll(`${SELECTORS.TWEET}:not([${PROCESSED_ATTR}])`));
     } catch (e) {
         console.error('Error in processFeed:', e);
     }
 };
 
+const startDiscovery = () => {
+    if (sweepInterval) return;
+    viewportObserver = new IntersectionObserver((entries) => {
+        let pendingBecameVisible = false;
+        for (const entry of entries) {
+            if (entry.isIntersecting) {
+                visibleTweets.add(entry.target);
+                pendingBecameVisible = pendingBecameVisible || pendingTweets.has(entry.target);
+            } else {
+                visibleTweets.delete(entry.target);
+            }
+        }
+        if (pendingBecameVisible) drainPendingTweets();
+    }, { rootMargin: VIEWPORT_MARGIN });
+    sweepInterval = setInterval(processFeed, SWEEP_INTERVAL_MS);
+    processFeed();
+};
+
+const stopDiscovery = () => {
+    clearInterval(sweepInterval);
+    sweepInterval = null;
+    clearTimeout(discoveryTimer);
+    timelineObserver?.disconnect();
+    timelineObserver = null;
+    observedContainer = null;
+    viewportObserver?.disconnect();
+    viewportObserver = null;
+    pendingTweets.clear();
+};
+
 const waitForElement = (selector, parent = document, timeout = 500) => {
     return new Promise((resolve) => {
         const interval = 50;
@@ -166,6 +509,30 @@ const waitForElement = (selector, parent = document, timeout = 500) => {
 };
 
 
+// X's "Undo" after a menu action, in the tweet's cell or (right after the click) in a toast, or null
+const findUndoAffordance = (tweet, includeToasts = true) => {
+    const toasts = includeToasts ? document.querySelectorAll(SELECTORS.TOAST) : [];
+    const roots = [tweet?.closest(SELECTORS.CELL), ...toasts].filter(Boolean);
+    for (const root of roots) {
+        const undo = Array.from(root.querySelectorAll('[role="button"], button, a'))
+            .find(el => (el.innerText || el.textContent || '').trim().toLowerCase() === 'undo');
+        if (undo) return undo;
+    }
+    return null;
+};
+
+const waitForUndoAffordance = async (tweet, timeout = 2000) => {
+    for (let elapsed = 0; elapsed < timeout; elapsed += 100) {
+        const undo = findUndoAffordance(tweet);
+        if (undo) return undo;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+};
+
+// Tweet id -> X's undo element, while X still shows it
+const undoAffordances = new Map();
+
 const markTweetAsNotInterested = async ({ id }) => {
     try {
         const tweet = document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`);
@@ -194,11 +561,22 @@ const markTweetAsNotInterested = async ({ id }) => {
             if (itemText.includes('not interested') || 
                 itemText.includes('hide this') ||
                 itemText.includes('see fewer tweets like this')) {
+                const menuItem = (item.innerText || item.textContent || '').trim();
+                const text = readText(tweet.querySelector(SELECTORS.TWEET_TEXT)).trim().slice(0, 120);
                 item.click();
                 tweet.style.transition = 'opacity 0.5s ease';
                 tweet.style.opacity = '0.3';
                 tweet.style.pointerEvents = 'none';
                 console.debug(`Marked tweet ${id} as not interested`);
+                if (autopilot) autopilot.summary.native++;
+
+                // Every signal sent to X is recorded so the popup can undo it
+                chrome.runtime.sendMessage({
+                    type: 'NATIVE_ACTION',
+                    payload: { id, ts: Date.now(), menuItem, text }
+                }).catch(e => console.debug('Failed to record native action:', e));
+                const undo = await waitForUndoAffordance(tweet);
+                if (undo) undoAffordances.set(id, undo);
                 break;
             }
         }
@@ -207,8 +585,337 @@ const markTweetAsNotInterested = async ({ id }) => {
     }
 };
 
+// Fade a tweet out locally without telling X anything (category "dim" action)
+const dimTweet = ({ id }) => {
+    const tweet = document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`);
+    if (!tweet) {
+        console.debug(`Tweet with id ${id} not found`);
+        return;
+    }
+    tweet.style.transition = 'opacity 0.5s ease';
+    tweet.style.opacity = '0.3';
+};
+
+// Blur a tweet locally until the user clicks it (toxicity "blur" action)
+const blurTweet = ({ id }) => {
+    const tweet = document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`);
+    if (!tweet) {
+        console.debug(`Tweet with id ${id} not found`);
+        return;
+    }
+    tweet.style.transition = 'filter 0.3s ease';
+    tweet.style.filter = 'blur(8px)';
+    tweet.title = 'Blurred by AI Curator - click to reveal';
+    tweet.addEventListener('click', (event) => {
+        if (!tweet.style.filter) return;
+        // The first click only reveals; it must not open the tweet
+        event.preventDefault();
+        event.stopPropagation();
+        tweet.style.filter = '';
+        tweet.title = '';
+        rememberRevealed(id);
+    }, { capture: true, once: true });
+};
+
+// Collapse a tweet to "Hidden by Curator: <label> · Show"; the explanation badge stays usable
+const collapseTweet = ({ id, label }) => {
+    const tweet = document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`);
+    if (!tweet) {
+        console.debug(`Tweet with id ${id} not found`);
+        return;
+    }
+    if (tweet.querySelector('.curator-placeholder')) return;
+
+    const hidden = Array.from(tweet.children)
+        .filter(el => !el.classList.contains('curator-explain') && !el.classList.contains(FEEDBACK_CLASS));
+    for (const el of hidden) {
+        el.dataset.curatorDisplay = el.style.display;
+        el.style.display = 'none';
+    }
+
+    const placeholder = document.createElement('div');
+    placeholder.className = 'curator-placeholder';
+    placeholder.textContent = `Hidden by Curator: ${label || 'off-topic'} · `;
+    Object.assign(placeholder.style, {
+        padding: '10px 16px', color: 'rgb(83, 100, 113)', font: '13px system-ui, sans-serif', cursor: 'default'
+    });
+    const show = document.createElement('a');
+    show.href = '#';
+    show.textContent = 'Show';
+    show.style.color = 'rgb(29, 155, 240)';
+    placeholder.appendChild(show);
+
+    // Clicks on the placeholder must not open the tweet
+    placeholder.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.target !== show) return;
+        for (const el of hidden) {
+            el.style.display = el.dataset.curatorDisplay || '';
+            delete el.dataset.curatorDisplay;
+        }
+        placeholder.remove();
+        rememberRevealed(id);
+    });
+    tweet.prepend(placeholder);
+};
+
+// Take a tweet out of the layout entirely
+const removeTweet = ({ id }) => {
+    const tweet = document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`);
+    if (!tweet) {
+        console.debug(`Tweet with id ${id} not found`);
+        return;
+    }
+    tweet.style.display = 'none';
+};
+
+/**
+ * Undo a native action: click X's undo while it is still there, otherwise
+ * only bring the tweet back on the page. Either way it is never hidden again.
+ * @returns {'native' | 'visual' | 'missing'}
+ */
+const undoNativeAction = ({ id }) => {
+    const tweet = document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`);
+    rememberRevealed(id);
+    const stored = undoAffordances.get(id);
+    undoAffordances.delete(id);
+    // A toast only ever belongs to the latest action, so toasts are matched via the stored element
+    const undo = (stored?.isConnected ? stored : null) || findUndoAffordance(tweet, false);
+    if (undo) {
+        undo.click();
+    }
+    if (tweet) {
+        tweet.style.opacity = '';
+        tweet.style.pointerEvents = '';
+    }
+    if (undo) return 'native';
+    return tweet ? 'visual' : 'missing';
+};
+
+// Dry run: outline the tweet and say what would have happened, nothing else
+const SHADOW_COLOR = '#00a8a8';
+const SHADOW_VERBS = { hide: 'hide', dim: 'dim', blur: 'blur' };
+
+const shadowTweet = ({ id, action, mode, label }) => {
+    const tweet = document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`);
+    if (!tweet) {
+        console.debug(`Tweet with id ${id} not found`);
+        return;
+    }
+    tweet.style.outline = `2px dashed ${SHADOW_COLOR}`;
+    tweet.style.outlineOffset = '-2px';
+    const how = action === 'hide' && mode ? ` (${mode})` : '';
+    tweet.title = `Dry run: AI Curator would ${SHADOW_VERBS[action] || action} this tweet${how}${label ? ` - ${label}` : ''}`;
+};
+
+// Native actions run one at a time with a human-like pause before each, so
+// menus never collide. The budget is checked again right before the click,
+// since the queue may hold more tweets than the budget has room for.
+const NATIVE_DELAY_MIN_MS = 1500;
+const NATIVE_DELAY_MAX_MS = 4500;
+let nativeQueue = Promise.resolve();
+
+const queueNativeAction = (payload) => {
+    nativeQueue = nativeQueue.then(async () => {
+        const delay = NATIVE_DELAY_MIN_MS + Math.random() * (NATIVE_DELAY_MAX_MS - NATIVE_DELAY_MIN_MS);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        // Revealed while waiting in the queue
+        if (revealedIds.has(payload.id)) return;
+        const budget = await chrome.runtime.sendMessage({ type: 'CHECK_NATIVE_BUDGET' })
+            .catch(e => console.debug('Failed to check native action budget:', e));
+        if (!budget?.allowed) {
+            collapseTweet(payload);
+            return;
+        }
+        await markTweetAsNotInterested(payload);
+    }).catch(e => console.error('Native action failed:', e));
+};
+
+// Autopilot: scroll a bit every few seconds, like someone reading, until the
+// session's tweet or time limit is reached
+const AUTOPILOT_STEP_MIN_MS = 2000;
+const AUTOPILOT_STEP_MAX_MS = 5000;
+const AUTOPILOT_DRAIN_MS = 30000; // longest wait for queued native actions at the end
+
+const DECISION_COUNTERS = { hide: 'hidden', dim: 'dimmed', blur: 'blurred', keep: 'kept' };
+
+// Explanations go to every X tab; only this tab's tweets count
+const countAutopilotDecision = ({ id, explanation } = {}) => {
+    if (!autopilot || !explanation || !document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`)) return;
+    autopilot.summary.tweets++;
+    const counter = DECISION_COUNTERS[explanation.decision];
+    if (counter) autopilot.summary[counter]++;
+};
+
+const autopilotStep = () => {
+    if (!autopilot) return;
+    if (autopilot.summary.tweets >= autopilot.maxTweets) {
+        finishAutopilot('tweets');
+        return;
+    }
+    if (Date.now() >= autopilot.deadline) {
+        finishAutopilot('time');
+        return;
+    }
+    window.scrollBy({ top: window.innerHeight * (0.5 + Math.random() * 0.4), behavior: 'smooth' });
+    const delay = AUTOPILOT_STEP_MIN_MS + Math.random() * (AUTOPILOT_STEP_MAX_MS - AUTOPILOT_STEP_MIN_MS);
+    autopilot.timer = setTimeout(autopilotStep, delay);
+};
+
+const startAutopilot = ({ maxTweets, maxMinutes }) => {
+    if (autopilot) return;
+    const startedAt = Date.now();
+    autopilot = {
+        maxTweets,
+        startedAt,
+        deadline: startedAt + maxMinutes * 60 * 1000,
+        timer: null,
+        summary: { tweets: 0, kept: 0, hidden: 0, dimmed: 0, blurred: 0, native: 0 }
+    };
+    console.log(`AI Curator autopilot started: ${maxTweets} tweets or ${maxMinutes} minutes`);
+    autopilotStep();
+};
+
+// Stop scrolling at once, let queued native actions finish, then report the summary
+const finishAutopilot = async (reason) => {
+    if (!autopilot) return;
+    const session = autopilot;
+    autopilot = null;
+    clearTimeout(session.timer);
+    await Promise.race([nativeQueue, new Promise(resolve => setTimeout(resolve, AUTOPILOT_DRAIN_MS))]);
+    const summary = { ...session.summary, durationMs: Date.now() - session.startedAt, reason };
+    console.log('AI Curator autopilot finished:', summary);
+    try {
+        await chrome.runtime.sendMessage({ type: 'AUTOPILOT_DONE', payload: summary });
+    } catch (e) {
+        console.debug('Failed to report autopilot summary:', e);
+    }
+};
+
+// Hidden tweets go away the way the user picked for the decision's category
+const HIDE_HANDLERS = {
+    collapse: collapseTweet,
+    blur: blurTweet,
+    dim: dimTweet,
+    remove: removeTweet,
+    native: queueNativeAction
+};
+
+const markTweet = (payload) => {
+    if (revealedIds.has(payload.id)) return;
+    if (payload.action === 'dim') {
+        dimTweet(payload);
+    } else if (payload.action === 'blur') {
+        blurTweet(payload);
+    } else if (payload.isUninteresting) {
+        (HIDE_HANDLERS[payload.mode] || collapseTweet)(payload);
+    }
+};
+
+const DECISION_LABELS = { hide: 'Hidden', dim: 'Dimmed', blur: 'Blurred', keep: 'Kept' };
+
+const formatExplanation = (explanation) => {
+    const lines = [`${DECISION_LABELS[explanation.decision] || explanation.decision} by ${explanation.sourceLabel}`];
+    if (explanation.rule) lines.push(`Rule: ${explanation.rule}`);
+    if (explanation.domain) lines.push(`Domain ${explanation.domain.list}list: ${explanation.domain.domain}`);
+    if (explanation.spamKeyword) lines.push(`Spam keyword: ${explanation.spamKeyword}`);
+    if (explanation.category) lines.push(`Category: ${explanation.category}`);
+    if (explanation.toxicity !== null) lines.push(`Toxicity: ${explanation.toxicity.toFixed(2)}`);
+    if (explanation.interests.length) {
+        lines.push('Closest interests:');
+        for (const { label, sim, passed } of explanation.interests) {
+            lines.push(`  ${passed ? '✓' : '·'} ${label} ${sim.toFixed(2)}`);
+        }
+    }
+    if (explanation.threshold !== null) lines.push(`Threshold: ${explanation.threshold.toFixed(2)}`);
+    lines.push(`Reason: ${explanation.reason}`);
+    return lines.join('\n');
+};
+
+// Small badge in the tweet's corner; clicking it shows why the tweet was treated this way
+const attachExplanation = ({ id, explanation }) => {
+    const tweet = document.querySelector(`[${TWEET_ID_ATTR}="${id}"]`);
+    if (!tweet || !explanation) return;
+    tweet.querySelectorAll('.curator-explain').forEach(el => el.remove());
+    if (getComputedStyle(tweet).position === 'static') tweet.style.position = 'relative';
+
+    const badge = document.createElement('button');
+    badge.className = 'curator-explain';
+    badge.textContent = 'i';
+    badge.title = 'Why AI Curator decided this';
+    Object.assign(badge.style, {
+        position: 'absolute', top: '4px', right: '4px', zIndex: '2',
+        width: '16px', height: '16px', padding: '0', borderRadius: '50%',
+        border: '1px solid rgba(83, 100, 113, 0.5)', background: 'transparent',
+        color: 'rgb(83, 100, 113)', font: 'italic bold 10px Georgia, serif',
+        cursor: 'pointer', opacity: '0.6', pointerEvents: 'auto'
+    });
+
+    const panel = document.createElement('div');
+    panel.className = 'curator-explain';
+    panel.textContent = formatExplanation(explanation);
+    Object.assign(panel.style, {
+        display: 'none', position: 'absolute', top: '24px', right: '4px', zIndex: '3',
+        maxWidth: '280px', padding: '8px 10px', borderRadius: '8px',
+        background: 'rgba(15, 20, 25, 0.92)', color: 'white', font: '12px/1.5 system-ui, sans-serif',
+        whiteSpace: 'pre-wrap', textAlign: 'left', pointerEvents: 'auto'
+    });
+
+    // Clicks on the badge or panel must not open the tweet
+    const swallow = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+    };
+    badge.addEventListener('click', (event) => {
+        swallow(event);
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+    panel.addEventListener('click', swallow);
+
+    tweet.appendChild(badge);
+    tweet.appendChild(panel);
+};
+
+// Only sample video frames when the offscreen image scorer will use them
+const loadMediaSettings = async () => {
+    try {
+        const { mediaSettings } = await chrome.storage.local.get('mediaSettings');
+        imageScoring = !!mediaSettings?.imageScoring;
+    } catch (e) {
+        console.debug('Failed to read media settings:', e);
+    }
+};
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.mediaSettings) {
+        imageScoring = !!changes.mediaSettings.newValue?.imageScoring;
+    }
+});
+
+// Follow SPA navigation: discovery runs only on feed pages
+const watchNavigation = () => {
+    if (navigationObserver) return;
+    let lastUrl = location.href;
+    navigationObserver = new MutationObserver(() => {
+        const url = location.href;
+        if (url === lastUrl) return;
+        lastUrl = url;
+        if (!checkIfTwitterFeed() && sweepInterval) {
+            finishAutopilot('navigated');
+            stopDiscovery();
+        } else if (checkIfTwitterFeed()) {
+            startDiscovery();
+            processFeed(); // the feed's container may have been replaced
+        }
+    });
+    navigationObserver.observe(document, { subtree: true, childList: true });
+};
+
 const start = () => {
-    if (mainLoopInterval) return;
+    if (sweepInterval) return;
+    loadMediaSettings();
+    watchNavigation();
     
     // Check if we're on the right page
     if (!checkIfTwitterFeed()) {
@@ -220,35 +927,21 @@ const start = () => {
     if (document.readyState !== 'complete') {
         window.addEventListener('load', () => {
             if (checkIfTwitterFeed()) {
-                mainLoopInterval = setInterval(processFeed, 5000);
+                startDiscovery();
             }
-        });
+        }, { once: true });
     } else {
-        mainLoopInterval = setInterval(processFeed, 5000);
+        startDiscovery();
     }
     
-    // Listen for navigation changes (SPA)
-    let lastUrl = location.href;
-    new MutationObserver(() => {
-        const url = location.href;
-        if (url !== lastUrl) {
-            lastUrl = url;
-            if (!checkIfTwitterFeed() && mainLoopInterval) {
-                stop();
-            } else if (checkIfTwitterFeed() && !mainLoopInterval) {
-                start();
-            }
-        }
-    }).observe(document, { subtree: true, childList: true });
-    
     console.log('AI Curator started on', window.location.href);
 };
 
 const stop = () => {
-    if (mainLoopInterval) {
-        clearInterval(mainLoopInterval);
-        mainLoopInterval = null;
-    }
+    finishAutopilot('stopped');
+    stopDiscovery();
+    navigationObserver?.disconnect();
+    navigationObserver = null;
     console.log('AI Curator stopped');
 };
 
@@ -266,10 +959,28 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                 stop();
                 sendResponse({ success: true });
                 break;
+            case 'START_AUTOPILOT':
+                startAutopilot(message.payload || {});
+                sendResponse({ success: true });
+                break;
+            case 'STOP_AUTOPILOT':
+                finishAutopilot('stopped');
+                sendResponse({ success: true });
+                break;
+            case 'EXPLAIN_TWEET':
+                attachExplanation(message.payload || {});
+                countAutopilotDecision(message.payload);
+                sendResponse({ success: true });
+                break;
             case 'MARK_TWEET':
-                if (message.payload?.isUninteresting) {
-                    markTweetAsNotInterested(message.payload);
-                }
+                markTweet(message.payload || {});
+                sendResponse({ success: true });
+                break;
+            case 'UNDO_NATIVE_ACTION':
+                sendResponse({ success: true, undone: undoNativeAction(message.payload || {}) });
+                break;
+            case 'SHADOW_TWEET':
+                shadowTweet(message.payload || {});
                 sendResponse({ success: true });
                 break;
             default:
@@ -0,0 +1,133 @@
+/**
+ * Decision - How an embedded tweet is judged (offscreen document)
+ * Features:
+ * - Interests and avoided topics score by their closest example phrase,
+ *   weighted; entries that clear their own threshold outrank the rest
+ * - The user's corrections decide first, by a nearest-neighbour vote
+ * - An avoided topic wins whenever it is closer than every wanted one
+ * - CLIP image scores blend in when the tweet has images
+ *
+ * Embedding lists: interests/avoided are { t, threshold, weight, phrases: [{ phrase, emb }] },
+ * labeled corrections are { id, label: 'keep' | 'hide', emb }
+ */
+
+import { blendScores, bestImageMatch } from './media.js';
+
+export const KNN_K = 5;          // neighbours consulted per tweet
+export const KNN_MIN_SIM = 0.6;  // ignore corrections that are not about the same thing
+
+// Fast cosine (Float32Array)
+export const cosine = (a, b) => {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; ++i) {
+    dot += a[i] * b[i]; na += a[i] ** 2; nb += b[i] ** 2;
+  }
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+};
+
+// Similarity-weighted vote among the closest labeled examples, or null
+// when no correction is close enough to say anything about this tweet
+export const nearestNeighbourVote = (emb, labeled) => {
+  const neighbours = labeled
+    .map(e => ({ label: e.label, sim: cosine(emb, e.emb) }))
+    .filter(n => n.sim >= KNN_MIN_SIM)
+    .sort((a, b) => b.sim - a.sim)
+    .slice(0, KNN_K);
+  if (!neighbours.length) return null;
+
+  const votes = { keep: 0, hide: 0 };
+  for (const n of neighbours) votes[n.label] += n.sim;
+  return { label: votes.hide > votes.keep ? 'hide' : 'keep', votes, count: neighbours.length };
+};
+
+// Every entry's match against the tweet; an entry scores by its closest phrase
+export const matchAll = (emb, list) => list.map(i => {
+  let sim = -1, phrase = i.t;
+  for (const p of i.phrases) {
+    const s = cosine(emb, p.emb);
+    if (s > sim) { sim = s; phrase = p.phrase; }
+  }
+  return { t: i.t, phrase, sim, score: sim * i.weight, threshold: i.threshold, passed: sim >= i.threshold };
+});
+
+// Highest weighted match in a list of embeddings, or null for an empty list.
+// Entries that clear their own threshold outrank those that do not.
+export const bestMatch = (matches) => {
+  let best = null;
+  for (const match of matches) {
+    if (!best || match.passed > best.passed || (match.passed === best.passed && match.score > best.score)) {
+      best = match;
+    }
+  }
+  return best;
+};
+
+// Highest weighted match regardless of thresholds, or null for an empty list
+const closestMatch = (matches) =>
+  matches.reduce((best, match) => (!best || match.score > best.score ? match : best), null);
+
+// Closest interests for the per-tweet explanation: [{ label, sim, threshold }]
+export const topInterests = (matches, n = 3) => [...matches]
+  .sort((a, b) => b.sim - a.sim)
+  .slice(0, n)
+  .map(m => ({ label: m.t, sim: Number(m.sim.toFixed(3)), threshold: m.threshold }));
+
+/**
+ * Decision for an embedded tweet; `image` ({ scores, weight }) blends in CLIP scores.
+ * Every result carries the closest interests and the threshold that applied.
+ * @param {{ interests: object[], avoided: object[], labeled: object[], threshold: number }} embeddings
+ */
+export const decide = (emb, { interests, avoided, labeled, threshold }, image = null) => {
+  const interestMatches = matchAll(emb, interests);
+  const keep = bestMatch(interestMatches);
+  const explained = (result) => ({
+    ...result,
+    interests: topInterests(interestMatches),
+    threshold: keep?.threshold ?? threshold
+  });
+
+  // The user's own corrections take precedence over topic similarity
+  const vote = nearestNeighbourVote(emb, labeled);
+  if (vote) {
+    return explained({
+      isUninteresting: vote.label === 'hide',
+      reason: `knn=${vote.label} (keep ${vote.votes.keep.toFixed(2)} / hide ${vote.votes.hide.toFixed(2)}, n=${vote.count})`
+    });
+  }
+
+  // An avoided topic wins whenever it is closer than every wanted one
+  // (by weighted score, thresholds aside); with no wanted topics it must
+  // clear the threshold.
+  const avoidMatches = matchAll(emb, avoided);
+  const avoid = keep ? closestMatch(avoidMatches) : bestMatch(avoidMatches);
+  if (avoid && (keep ? avoid.score > closestMatch(interestMatches).score : avoid.passed)) {
+    return explained({
+      isUninteresting: true,
+      reason: `avoid=${avoid.t} sim=${avoid.sim.toFixed(2)}`,
+      matchedPhrase: avoid.phrase,
+      score: keep?.sim
+    });
+  }
+  if (!keep)
+    return explained({ isUninteresting: false, reason: 'No interests' });
+
+  const best = image && bestImageMatch(image.scores);
+  if (best) {
+    const blended = blendScores(keep, best.prob, image.weight);
+    return explained({
+      isUninteresting: blended < 1,
+      reason: `${keep.t} sim=${keep.sim.toFixed(2)} + image=${best.label} p=${best.prob.toFixed(2)} ` +
+        `(blend ${blended.toFixed(2)}, image weight ${image.weight.toFixed(2)})`,
+      matchedPhrase: keep.phrase,
+      score: keep.sim,
+      image: { label: best.label, score: Number(best.prob.toFixed(3)), weight: image.weight }
+    });
+  }
+
+  return explained({
+    isUninteresting: !keep.passed,
+    reason: `${keep.t} sim=${keep.sim.toFixed(2)} (threshold ${keep.threshold.toFixed(2)})`,
+    matchedPhrase: keep.phrase,
+    score: keep.sim // best interest similarity, shown in the log for quote tweets
+  });
+};
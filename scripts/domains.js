@@ -0,0 +1,59 @@
+/**
+ * Domains - Link domains of a tweet and the user's domain allow/block lists
+ * Features:
+ * - Domains come from the body's links and the link card
+ * - A listed domain also covers its subdomains (example.com → news.example.com)
+ * - The allow list wins when a tweet links to both lists
+ *
+ * Lists: { allow: string[], block: string[] }, stored as `domainLists`
+ */
+
+export const DEFAULT_DOMAIN_LISTS = { allow: [], block: [] };
+
+export const cleanDomain = (domain) => domain.trim().toLowerCase()
+  .replace(/^[a-z]+:\/\//, '')
+  .replace(/^www\./, '')
+  .replace(/[/?#].*$/, '');
+
+const cleanDomains = (value) => {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/);
+  return [...new Set(items.map(v => cleanDomain(String(v))).filter(Boolean))];
+};
+
+export const normalizeDomainLists = (lists) => ({
+  allow: cleanDomains(lists?.allow),
+  block: cleanDomains(lists?.block)
+});
+
+const urlDomain = (url) => {
+  try {
+    return cleanDomain(new URL(url).hostname);
+  } catch (err) {
+    return cleanDomain(String(url));
+  }
+};
+
+/**
+ * Every domain a tweet links to.
+ * @param {{ urls?: string[], card?: { domain?: string, url?: string } | null }} tweet
+ */
+export const tweetDomains = (tweet) => {
+  const domains = (tweet.urls || []).map(urlDomain);
+  if (tweet.card?.domain) domains.push(cleanDomain(tweet.card.domain));
+  return [...new Set(domains.filter(Boolean))];
+};
+
+export const matchesDomain = (domain, listed) => domain === listed || domain.endsWith(`.${listed}`);
+
+/**
+ * Which list decides the tweet, or null.
+ * @returns {{ list: 'allow' | 'block', domain: string } | null} domain is the listed entry
+ */
+export const matchDomainLists = (lists, tweet) => {
+  const domains = tweetDomains(tweet);
+  for (const list of ['allow', 'block']) {
+    const domain = lists[list].find(listed => domains.some(d => matchesDomain(d, listed)));
+    if (domain) return { list, domain };
+  }
+  return null;
+};
@@ -0,0 +1,124 @@
+/**
+ * Embedding Cache - Persists tweet embeddings in IndexedDB (offscreen document)
+ * Features:
+ * - Keyed by tweet id plus a hash of the text, so edited text re-embeds
+ * - Stores the embedding only: decisions depend on the current interests and
+ *   corrections, so they are always made afresh
+ * - LRU eviction once the entry cap is exceeded; every hit refreshes `lastUsed`
+ * - Cleared automatically when the embedding model changes; every entry also
+ *   records its model, so a write that races a model switch is never served
+ */
+
+const DB_NAME = 'curator-embedding-cache';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'embeddings';
+const META_STORE = 'meta';
+export const MAX_ENTRIES = 5000;
+
+let _dbPromise = null;
+let _modelId = null;
+let _maxEntries = MAX_ENTRIES;
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const openDb = () => {
+  if (_dbPromise) return _dbPromise;
+
+  _dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const store = db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+      store.createIndex('lastUsed', 'lastUsed');
+      db.createObjectStore(META_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      _dbPromise = null; // Reset so it can be retried
+      reject(request.error);
+    };
+  });
+
+  return _dbPromise;
+};
+
+// Same 32-bit string hash content.js uses for tweets without a status id
+const hashText = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash |= 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+const cacheKey = (id, text) => `${id}:${hashText(text)}`;
+
+/**
+ * Bind the cache to a model. Entries written by a different model are
+ * useless (different vector space), so the cache is wiped on change.
+ * @param {{ maxEntries?: number }} [options] Entry cap before LRU eviction
+ */
+export const setCacheModel = async (modelId, { maxEntries = MAX_ENTRIES } = {}) => {
+  _maxEntries = maxEntries;
+  if (_modelId === modelId) return;
+
+  const db = await openDb();
+  const tx = db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+  const storedModel = await promisify(tx.objectStore(META_STORE).get('model'));
+  if (storedModel !== modelId) {
+    console.log(`Embedding cache: model changed (${storedModel} → ${modelId}), clearing`);
+    tx.objectStore(ENTRY_STORE).clear();
+    tx.objectStore(META_STORE).put(modelId, 'model');
+  }
+  await transactionDone(tx);
+  _modelId = modelId;
+};
+
+// The stored embedding, or null; a hit counts as a use for LRU eviction
+export const getCachedEmbedding = async (id, text) => {
+  if (!_modelId) return null;
+  const db = await openDb();
+  const store = db.transaction(ENTRY_STORE, 'readwrite').objectStore(ENTRY_STORE);
+  const entry = await promisify(store.get(cacheKey(id, text)));
+  if (!entry || entry.model !== _modelId) return null;
+  store.put({ ...entry, lastUsed: Date.now() });
+  return entry.emb;
+};
+
+/**
+ * Store a tweet's embedding. `modelId` names the model that produced it;
+ * an embedding from a model the cache is no longer bound to is dropped.
+ */
+export const putCachedEmbedding = async (id, text, emb, modelId) => {
+  if (!_modelId || modelId !== _modelId) return;
+  const db = await openDb();
+  const tx = db.transaction(ENTRY_STORE, 'readwrite');
+  const store = tx.objectStore(ENTRY_STORE);
+  store.put({ key: cacheKey(id, text), model: modelId, emb, lastUsed: Date.now() });
+
+  // Evict least recently used entries beyond the cap
+  const count = await promisify(store.count());
+  let excess = count - _maxEntries;
+  if (excess > 0) {
+    const cursorRequest = store.index('lastUsed').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor && excess-- > 0) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+  }
+  await transactionDone(tx);
+};
@@ -0,0 +1,40 @@
+/**
+ * Explanations - What the per-tweet badge in content.js shows
+ * Built by the background worker from a decision result: the closest
+ * interests with their similarities, the threshold, who decided (local AI,
+ * keyword fallback, a user rule or a domain list) and any filter that fired.
+ */
+
+export const EXPLANATION_TOP_INTERESTS = 3;
+
+export const DECISION_SOURCES = {
+  ai: 'Local AI',
+  fallback: 'Keyword fallback',
+  rule: 'User rule',
+  domain: 'Domain list'
+};
+
+const round = (value) => Number.isFinite(value) ? Number(value.toFixed(3)) : null;
+
+/**
+ * @param {'hide' | 'dim' | 'blur' | 'keep'} action The decision that was applied
+ * @param {object} result Classification result (see background.js applyDecision)
+ */
+export const buildExplanation = (action, result) => {
+  const source = DECISION_SOURCES[result.source] ? result.source : 'ai';
+  return {
+    decision: action,
+    source,
+    sourceLabel: DECISION_SOURCES[source], // content.js cannot import this module
+    reason: result.reason || '',
+    interests: (result.interests || [])
+      .slice(0, EXPLANATION_TOP_INTERESTS)
+      .map(({ label, sim, threshold }) => ({ label, sim: round(sim), passed: sim >= threshold })),
+    threshold: round(result.threshold),
+    rule: result.rule?.name || null,
+    spamKeyword: result.spamKeyword || null,
+    domain: result.domain || null,
+    category: result.category || null,
+    toxicity: round(result.toxicity)
+  };
+};
@@ -0,0 +1,63 @@
+/**
+ * Hide Modes - How a hidden tweet disappears, chosen per decision category
+ * Features:
+ * - Modes: collapse to a one-line placeholder, blur, dim, remove from the
+ *   layout, or X's native "Not interested" (the only one X hears about)
+ * - Categories follow why the tweet was hidden (off-topic, avoided topic,
+ *   spam, category/toxicity filter, user rule, blocked domain)
+ * - Placeholder label for the collapse mode ("Hidden by Curator: off-topic")
+ *
+ * Settings: { [category]: mode }, stored as `hideModes`
+ */
+
+export const HIDE_MODES = ['collapse', 'blur', 'dim', 'remove', 'native'];
+
+export const HIDE_MODE_LABELS = {
+  collapse: 'Collapse to a placeholder',
+  blur: 'Blur',
+  dim: 'Dim',
+  remove: 'Remove from the feed',
+  native: 'X "Not interested"'
+};
+
+export const DECISION_CATEGORIES = {
+  offTopic: 'Off-topic',
+  avoided: 'Avoided topics',
+  spam: 'Spam',
+  filter: 'Category & toxicity filters',
+  rule: 'User rules',
+  domain: 'Blocked domains'
+};
+
+// Local modes by default: nothing is reported to X unless the user asks for it
+export const DEFAULT_HIDE_MODES = Object.fromEntries(Object.keys(DECISION_CATEGORIES).map(c => [c, 'collapse']));
+
+export const normalizeHideModes = (modes) => Object.fromEntries(Object.keys(DECISION_CATEGORIES).map(c => [
+  c, HIDE_MODES.includes(modes?.[c]) ? modes[c] : DEFAULT_HIDE_MODES[c]
+]));
+
+/**
+ * Why a tweet was hidden, as a DECISION_CATEGORIES key.
+ * @param {object} result Classification result (see background.js applyDecision)
+ */
+export const decisionCategory = (result) => {
+  const reason = result.reason || '';
+  if (result.rule) return 'rule';
+  if (result.domain) return 'domain';
+  if (result.spamKeyword || /^(Spam|Engagement bait)/.test(reason)) return 'spam';
+  if (result.category || /^Toxicity/.test(reason)) return 'filter';
+  if (/^(avoid=|Avoided topic)/.test(reason)) return 'avoided';
+  return 'offTopic';
+};
+
+// Short text for the collapsed placeholder
+export const hideLabel = (result) => {
+  switch (decisionCategory(result)) {
+    case 'rule': return `rule "${result.rule.name}"`;
+    case 'domain': return `blocked domain ${result.domain.domain}`;
+    case 'spam': return 'spam';
+    case 'filter': return result.category || 'toxic';
+    case 'avoided': return 'avoided topic';
+    default: return 'off-topic';
+  }
+};
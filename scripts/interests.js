@@ -0,0 +1,57 @@
+/**
+ * Interest helpers shared by the background worker and the popup.
+ * Interests are stored as { label, threshold, weight, examples } objects;
+ * older installs stored plain strings, which are upgraded on read.
+ * `examples` holds extra descriptive phrases or sample sentences that are
+ * embedded alongside the label.
+ */
+
+export const DEFAULT_THRESHOLD = 0.35;
+export const DEFAULT_WEIGHT = 1;
+export const MAX_EXAMPLES = 10;
+
+const clamp = (value, min, max, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+const normalizeExamples = (examples, label) => {
+  if (!Array.isArray(examples)) return [];
+  const phrases = examples
+    .filter(e => typeof e === 'string')
+    .map(e => e.trim())
+    .filter(e => e && e.toLowerCase() !== label);
+  return [...new Set(phrases)].slice(0, MAX_EXAMPLES);
+};
+
+export const normalizeInterest = (entry) => {
+  if (typeof entry === 'string') {
+    const label = entry.trim().toLowerCase();
+    return label ? { label, threshold: DEFAULT_THRESHOLD, weight: DEFAULT_WEIGHT, examples: [] } : null;
+  }
+  if (!entry || typeof entry.label !== 'string' || !entry.label.trim()) return null;
+  const label = entry.label.trim().toLowerCase();
+  return {
+    label,
+    threshold: clamp(entry.threshold, 0, 1, DEFAULT_THRESHOLD),
+    weight: clamp(entry.weight, 0, 5, DEFAULT_WEIGHT),
+    examples: normalizeExamples(entry.examples, label)
+  };
+};
+
+// Every phrase that represents an interest: the label first, then examples
+export const interestPhrases = (interest) => [interest.label, ...(interest.examples || [])];
+
+export const normalizeInterests = (list) => {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const entry of list) {
+    const interest = normalizeInterest(entry);
+    if (interest && !seen.has(interest.label)) {
+      seen.add(interest.label);
+      result.push(interest);
+    }
+  }
+  return result;
+};
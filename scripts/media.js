@@ -0,0 +1,113 @@
+/**
+ * Media - Tweet image understanding with a local CLIP model
+ * Features:
+ * - Zero-shot scores for each image against the interest labels, plus a few
+ *   neutral labels so a lone interest does not receive all the probability
+ * - Results cached per image URL (in memory, LRU), reset when labels change;
+ *   video frames arrive as one-off data: URLs and are not cached
+ * - Blends the image score with text similarity for media-heavy tweets
+ * - Media settings (image scoring, OCR) shared by the background worker and the popup
+ */
+
+export const DEFAULT_MEDIA_SETTINGS = {
+  imageScoring: false, // CLIP model (~150MB) loads only once enabled
+  imageWeight: 0.5,    // share of the decision the images get on media-heavy tweets
+  ocr: false           // OCR model (~70MB) loads only once enabled
+};
+
+export const normalizeMediaSettings = (settings) => {
+  const imageWeight = Number(settings?.imageWeight);
+  return {
+    imageScoring: !!settings?.imageScoring,
+    imageWeight: Number.isFinite(imageWeight) ? Math.min(1, Math.max(0, imageWeight)) : DEFAULT_MEDIA_SETTINGS.imageWeight,
+    ocr: !!settings?.ocr
+  };
+};
+
+export const NEUTRAL_IMAGE_LABELS = ['a selfie', 'a meme', 'food', 'a landscape', 'a pet', 'a screenshot of a social media post'];
+const IMAGE_HYPOTHESIS = 'a photo about {}.';
+// Probability an interest label needs to count as a match on its own
+export const IMAGE_MATCH_PROB = 0.5;
+// Tweet bodies shorter than this let the images take part in the decision
+export const MEDIA_HEAVY_TEXT_LENGTH = 80;
+// Below this the body says nothing and the images decide alone
+export const MIN_TEXT_LENGTH = 10;
+
+/**
+ * How much the images count for a tweet with `textLength` characters of body:
+ * everything without text, the user's weight for media-heavy tweets, else nothing.
+ */
+export const imageWeight = (textLength, weight = DEFAULT_MEDIA_SETTINGS.imageWeight) => {
+  if (textLength < MIN_TEXT_LENGTH) return 1;
+  if (textLength < MEDIA_HEAVY_TEXT_LENGTH) return weight;
+  return 0;
+};
+
+/**
+ * Blend text and image evidence. Each side is expressed as a ratio to its
+ * own bar (similarity / threshold, probability / IMAGE_MATCH_PROB), so the
+ * different scales are comparable; the blend keeps the tweet at >= 1.
+ */
+export const blendScores = ({ sim, threshold }, imageProb, weight) => {
+  const textRatio = sim / Math.max(threshold, 0.01);
+  const imageRatio = imageProb / IMAGE_MATCH_PROB;
+  return (1 - weight) * textRatio + weight * imageRatio;
+};
+
+// Highest-probability interest label across a tweet's images, or null
+export const bestImageMatch = (scores) => {
+  let best = null;
+  for (const [label, prob] of Object.entries(scores || {})) {
+    if (!best || prob > best.prob) best = { label, prob };
+  }
+  return best;
+};
+
+/**
+ * @param {() => Promise<Function>} loadPipeline Resolves the zero-shot-image-classification pipeline
+ * @param {{ maxEntries?: number }} [options]
+ */
+export const createImageScorer = (loadPipeline, { maxEntries = 500 } = {}) => {
+  let labels = [];
+  const cache = new Map(); // image URL -> { label: probability } for the current labels
+
+  const setLabels = (next) => {
+    if (next.length === labels.length && next.every((l, i) => l === labels[i])) return;
+    labels = [...next];
+    cache.clear();
+  };
+
+  const scoreImage = async (url) => {
+    if (cache.has(url)) {
+      const scores = cache.get(url);
+      cache.delete(url); // re-insert as most recently used
+      cache.set(url, scores);
+      return scores;
+    }
+    const pipe = await loadPipeline();
+    const output = await pipe(url, [...labels, ...NEUTRAL_IMAGE_LABELS], { hypothesis_template: IMAGE_HYPOTHESIS });
+    const scores = {};
+    for (const { label, score } of output) {
+      if (labels.includes(label)) scores[label] = score;
+    }
+    if (!url.startsWith('data:')) {
+      cache.set(url, scores);
+      if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    }
+    return scores;
+  };
+
+  // Best probability per label over all of a tweet's images
+  const scoreImages = async (urls) => {
+    if (!labels.length || !urls.length) return null;
+    const merged = {};
+    for (const scores of await Promise.all(urls.map(scoreImage))) {
+      for (const [label, prob] of Object.entries(scores)) {
+        merged[label] = Math.max(merged[label] ?? 0, prob);
+      }
+    }
+    return merged;
+  };
+
+  return { setLabels, scoreImages };
+};
@@ -5,11 +5,19 @@
  * - Network retry with exponential backoff
  * - Progress tracking and error recovery
  * - Timeout protection
+ * - Any embedding model from modelRegistry.js, one pipeline per model/variant
+ * - Lazily loaded auxiliary pipelines (zero-shot, toxicity, CLIP, OCR) that never block curation
  */
 
-const MODEL_REPO = 'Xenova/all-MiniLM-L6-v2';
+import { getModelSpec, normalizeModelSelection, modelKey, AUXILIARY_MODELS } from './modelRegistry.js';
+
 let modelReady = false;
-let _loadPromise = null;
+const _loadPromises = new Map(); // model key -> pipeline promise
+const _auxiliaryPipes = new Map();    // auxiliary model key -> loaded pipeline
+const _auxiliaryFailures = new Map(); // auxiliary model key -> { count, retryAt }
+const AUX_RETRY_BASE_MS = 60 * 1000;      // first wait after a failed auxiliary load
+const AUX_RETRY_MAX_MS = 30 * 60 * 1000;  // doubling stops here
+let _transformersPromise = null;
 
 // Network retry utility
 const retryFetch = async (url, options = {}, maxRetries = 3) => {
@@ -41,12 +49,54 @@ const retryFetch = async (url, options = {}, maxRetries = 3) => {
   }
 };
 
-export const getMiniLMPipeline = () => {
-  if (_loadPromise) return _loadPromise;
+// Model downloads can stall indefinitely; give up after `ms`
+const withTimeout = (promise, ms = 120000) => {
+  const timeoutPromise = new Promise((_, reject) => {
+    setTimeout(() => reject(new Error(`Model download timeout (${Math.round(ms / 60000)} minutes)`)), ms);
+  });
+  return Promise.race([promise, timeoutPromise]);
+};
+
+// Import transformers.js once and route its downloads through retryFetch
+const loadTransformers = () => {
+  if (_transformersPromise) return _transformersPromise;
+
+  _transformersPromise = (async () => {
+    const transformers = await import(chrome.runtime.getURL('vendor/transformers.min.js'));
+    console.log('Simple model loader: Transformers imported');
+
+    // Patch fetch for better error handling
+    transformers.env.fetch = async (url, options) => {
+      try {
+        return await retryFetch(url, options);
+      } catch (error) {
+        console.error('Model fetch failed:', error.message);
+        throw error;
+      }
+    };
+    return transformers;
+  })().catch(err => {
+    _transformersPromise = null; // Reset so it can be retried
+    throw err;
+  });
 
-  _loadPromise = (async () => {
+  return _transformersPromise;
+};
+
+/**
+ * Load the feature-extraction pipeline for a registry model.
+ * @param {{ id?: string, variant?: 'quantized' | 'fp32' }} [selection] Defaults to MiniLM, quantized
+ */
+export const getEmbeddingPipeline = (selection) => {
+  const { id, variant } = normalizeModelSelection(selection);
+  const spec = getModelSpec(id);
+  const key = modelKey({ id, variant });
+  if (_loadPromises.has(key)) return _loadPromises.get(key);
+
+  const loadPromise = (async () => {
     try {
-      console.log('Simple model loader: Starting...');
+      console.log(`Simple model loader: Starting ${key}...`);
+      modelReady = false;
       chrome.runtime.sendMessage({ type: 'AI_LOAD_PROGRESS', payload: { status: 'Initializing...', progress: 5 } });
       
       // Test network connectivity first
@@ -54,7 +104,7 @@ export const getMiniLMPipeline = () => {
       chrome.runtime.sendMessage({ type: 'AI_LOAD_PROGRESS', payload: { status: 'Testing network...', progress: 10 } });
       
       try {
-        await retryFetch('https://huggingface.co/Xenova/all-MiniLM-L6-v2/resolve/main/config.json');
+        await retryFetch(`https://huggingface.co/${spec.repo}/resolve/main/config.json`);
         console.log('✅ Network connectivity confirmed');
       } catch (networkError) {
         console.error('❌ Network test failed:', networkError.message);
@@ -64,35 +114,18 @@ export const getMiniLMPipeline = () => {
       console.log('Importing transformers.js...');
       chrome.runtime.sendMessage({ type: 'AI_LOAD_PROGRESS', payload: { status: 'Loading AI library...', progress: 15 } });
       
-      const { pipeline, env } = await import(chrome.runtime.getURL('vendor/transformers.min.js'));
-      console.log('Simple model loader: Transformers imported');
-      
-      // Patch fetch for better error handling
-      const originalFetch = env.fetch || fetch;
-      env.fetch = async (url, options) => {
-        try {
-          return await retryFetch(url, options);
-        } catch (error) {
-          console.error('Model fetch failed:', error.message);
-          throw error;
-        }
-      };
+      const { pipeline } = await loadTransformers();
       
-      chrome.runtime.sendMessage({ type: 'AI_LOAD_PROGRESS', payload: { status: 'Downloading model...', progress: 20 } });
+      chrome.runtime.sendMessage({ type: 'AI_LOAD_PROGRESS', payload: { status: `Downloading ${spec.label} (~${spec.sizeMB[variant]}MB)...`, progress: 20 } });
       
       // Add timeout to pipeline creation
-      const pipelinePromise = pipeline('feature-extraction', MODEL_REPO, { quantized: true });
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Model download timeout (2 minutes)')), 120000);
-      });
-      
-      const pipe = await Promise.race([pipelinePromise, timeoutPromise]);
+      const pipe = await withTimeout(pipeline('feature-extraction', spec.repo, { quantized: variant === 'quantized' }));
       console.log('Simple model loader: Pipeline created');
       
       chrome.runtime.sendMessage({ type: 'AI_LOAD_PROGRESS', payload: { status: 'Model ready!', progress: 100 } });
       
       modelReady = true;
-      chrome.runtime.sendMessage({ type: 'AI_READY' });
+      chrome.runtime.sendMessage({ type: 'AI_READY', payload: { model: key } });
       return pipe;
     } catch (err) {
       console.error('Simple model loader failed:', err);
@@ -108,12 +141,85 @@ export const getMiniLMPipeline = () => {
       }
       
       chrome.runtime.sendMessage({ type: 'AI_LOAD_FAILED', payload: errorMessage });
-      _loadPromise = null; // Reset so it can be retried
+      _loadPromises.delete(key); // Reset so it can be retried
       throw err;
     }
   })();
 
-  return _loadPromise;
+  _loadPromises.set(key, loadPromise);
+  return loadPromise;
+};
+
+// Forget a loaded pipeline so switching models frees its memory
+export const releaseEmbeddingPipeline = async (selection) => {
+  const key = modelKey(selection);
+  const loadPromise = _loadPromises.get(key);
+  _loadPromises.delete(key);
+  if (!loadPromise) return;
+  try {
+    const pipe = await loadPromise;
+    await pipe.dispose?.();
+  } catch (err) {
+    // Failed loads have nothing to free
+  }
+};
+
+const auxiliaryKey = (spec) => `${spec.task}:${spec.repo}`;
+
+/**
+ * Load an auxiliary pipeline from AUXILIARY_MODELS by name. These load only
+ * when their feature is enabled and report failures to the caller alone:
+ * curation carries on without them, so no AI_READY / AI_LOAD_FAILED.
+ * After a failure the model is not tried again for a while (1 min, doubling
+ * up to 30 min); until then this rejects at once.
+ */
+export const getAuxiliaryPipeline = (name) => {
+  const spec = AUXILIARY_MODELS[name];
+  if (!spec) return Promise.reject(new Error(`Unknown auxiliary model: ${name}`));
+  const key = auxiliaryKey(spec);
+  if (_loadPromises.has(key)) return _loadPromises.get(key);
+
+  const failure = _auxiliaryFailures.get(key);
+  if (failure && Date.now() < failure.retryAt) {
+    const seconds = Math.ceil((failure.retryAt - Date.now()) / 1000);
+    return Promise.reject(new Error(`${spec.repo} failed to load, next attempt in ${seconds}s`));
+  }
+
+  const loadPromise = (async () => {
+    try {
+      console.log(`Auxiliary model loader: Starting ${spec.repo} (~${spec.sizeMB}MB)...`);
+      const { pipeline } = await loadTransformers();
+      const pipe = await withTimeout(pipeline(spec.task, spec.repo, { quantized: true }));
+      console.log(`Auxiliary model loader: ${spec.repo} ready`);
+      _auxiliaryFailures.delete(key);
+      _auxiliaryPipes.set(key, pipe);
+      return pipe;
+    } catch (err) {
+      const count = (failure?.count || 0) + 1;
+      const wait = Math.min(AUX_RETRY_BASE_MS * 2 ** (count - 1), AUX_RETRY_MAX_MS);
+      console.error(`Auxiliary model loader failed for ${spec.repo}, next attempt in ${wait / 1000}s:`, err);
+      _auxiliaryFailures.set(key, { count, retryAt: Date.now() + wait });
+      _loadPromises.delete(key); // Reset so it can be retried
+      throw err;
+    }
+  })();
+
+  _loadPromises.set(key, loadPromise);
+  return loadPromise;
+};
+
+/**
+ * An auxiliary pipeline that has finished loading, or null. Starts the load
+ * (within the failure backoff) so later tweets can use it: classification
+ * never waits for an auxiliary download.
+ */
+export const loadedAuxiliaryPipeline = (name) => {
+  const spec = AUXILIARY_MODELS[name];
+  if (!spec) return null;
+  const pipe = _auxiliaryPipes.get(auxiliaryKey(spec));
+  if (pipe) return pipe;
+  getAuxiliaryPipeline(name).catch(() => { /* logged by the loader; retried after the backoff */ });
+  return null;
 };
 
-export const isModelReady = () => modelReady;
\ No newline at end of file
+export const isModelReady = () => modelReady;
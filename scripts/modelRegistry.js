@@ -0,0 +1,114 @@
+/**
+ * Model Registry - Sentence-embedding models the curator can run locally
+ * Each entry describes how to load and pool the model and what similarity
+ * threshold works as a starting point (score distributions differ a lot
+ * between models, e.g. bge/gte/e5 rarely score unrelated text below 0.6).
+ */
+
+export const DEFAULT_MODEL_ID = 'minilm';
+// Loaded in multilingual mode unless the picked model is already multilingual
+export const MULTILINGUAL_MODEL_ID = 'multilingual-e5-small';
+export const DEFAULT_VARIANT = 'quantized';
+export const MODEL_VARIANTS = ['quantized', 'fp32'];
+
+export const MODEL_REGISTRY = {
+  'minilm': {
+    label: 'all-MiniLM-L6-v2',
+    repo: 'Xenova/all-MiniLM-L6-v2',
+    dims: 384,
+    pooling: 'mean',
+    normalize: true,
+    prefix: '',
+    sizeMB: { quantized: 23, fp32: 90 },
+    recommendedThreshold: 0.35,
+    multilingual: false
+  },
+  'bge-small': {
+    label: 'bge-small-en-v1.5',
+    repo: 'Xenova/bge-small-en-v1.5',
+    dims: 384,
+    pooling: 'cls',
+    normalize: true,
+    prefix: '',
+    sizeMB: { quantized: 34, fp32: 133 },
+    recommendedThreshold: 0.6,
+    multilingual: false
+  },
+  'gte-small': {
+    label: 'gte-small',
+    repo: 'Xenova/gte-small',
+    dims: 384,
+    pooling: 'mean',
+    normalize: true,
+    prefix: '',
+    sizeMB: { quantized: 34, fp32: 133 },
+    recommendedThreshold: 0.8,
+    multilingual: false
+  },
+  'multilingual-e5-small': {
+    label: 'multilingual-e5-small',
+    repo: 'Xenova/multilingual-e5-small',
+    dims: 384,
+    pooling: 'mean',
+    normalize: true,
+    // e5 models are trained with role prefixes; "query: " suits symmetric similarity
+    prefix: 'query: ',
+    sizeMB: { quantized: 118, fp32: 470 },
+    recommendedThreshold: 0.8,
+    multilingual: true
+  }
+};
+
+export const getModelSpec = (id) => MODEL_REGISTRY[id] || MODEL_REGISTRY[DEFAULT_MODEL_ID];
+
+// Coerce a stored { id, variant } selection into a valid one
+export const normalizeModelSelection = (selection) => ({
+  id: MODEL_REGISTRY[selection?.id] ? selection.id : DEFAULT_MODEL_ID,
+  variant: MODEL_VARIANTS.includes(selection?.variant) ? selection.variant : DEFAULT_VARIANT
+});
+
+/**
+ * The model that actually runs: in multilingual mode an English-only pick is
+ * swapped for the multilingual model (same variant), so English interests
+ * still match German or Spanish tweets.
+ */
+export const resolveModelSelection = (selection, multilingual = false) => {
+  const normalized = normalizeModelSelection(selection);
+  if (multilingual && !getModelSpec(normalized.id).multilingual) {
+    return { ...normalized, id: MULTILINGUAL_MODEL_ID };
+  }
+  return normalized;
+};
+
+// Identifies a loaded model for caches: same key, same vector space
+export const modelKey = (selection) => {
+  const { id, variant } = normalizeModelSelection(selection);
+  return `${getModelSpec(id).repo}@${variant}`;
+};
+
+/**
+ * Auxiliary models for optional filters, loaded lazily by name through
+ * getAuxiliaryPipeline() in modelManager.js.
+ */
+export const AUXILIARY_MODELS = {
+  zeroShot: {
+    task: 'zero-shot-classification',
+    repo: 'Xenova/nli-deberta-v3-xsmall',
+    sizeMB: 90
+  },
+  toxicity: {
+    task: 'text-classification',
+    repo: 'Xenova/toxic-bert',
+    sizeMB: 110
+  },
+  clip: {
+    task: 'zero-shot-image-classification',
+    repo: 'Xenova/clip-vit-base-patch32',
+    sizeMB: 150
+  },
+  ocr: {
+    task: 'image-to-text',
+    repo: 'Xenova/trocr-small-printed',
+    sizeMB: 70
+  }
+};
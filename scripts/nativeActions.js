@@ -0,0 +1,37 @@
+/**
+ * Native Actions - Session record of the feedback sent to X
+ * Every click on X's own menu ("Not interested", ...) is recorded with the
+ * tweet id, the time and the menu item text, so the popup can list and undo
+ * it. Kept in chrome.storage.session as `nativeActions`: gone with the browser
+ * session, like X's undo affordance.
+ *
+ * An action: { id, ts, menuItem, text, tabId, undone: null | 'native' | 'visual' | 'missing', undoneAt? }
+ */
+
+export const MAX_NATIVE_ACTIONS = 200;
+
+export const recordNativeAction = (list, { id, ts, menuItem, text, tabId }) => [
+  ...(Array.isArray(list) ? list : []),
+  {
+    id: String(id),
+    ts: Number.isFinite(ts) ? ts : Date.now(),
+    menuItem: String(menuItem || ''),
+    text: String(text || ''),
+    tabId: Number.isInteger(tabId) ? tabId : null,
+    undone: null
+  }
+].slice(-MAX_NATIVE_ACTIONS);
+
+// Latest action on a tweet that has not been undone yet, or null
+export const findUndoable = (list, id) =>
+  [...(list || [])].reverse().find(action => action.id === id && !action.undone) || null;
+
+/**
+ * Mark the latest open action on `id` as undone.
+ * @param {'native' | 'visual' | 'missing'} how X's undo was clicked, the tweet
+ *   was only restored on the page, or it was no longer on the page
+ */
+export const markUndone = (list, id, how, now = Date.now()) => {
+  const target = findUndoable(list, id);
+  return (list || []).map(action => action === target ? { ...action, undone: how, undoneAt: now } : action);
+};
@@ -0,0 +1,140 @@
+/**
+ * OCR - Reads the text in screenshot tweets (offscreen document)
+ * Features:
+ * - Splits an image into text lines by horizontal ink projection, so the
+ *   line-level TrOCR model can read whole screenshots
+ * - Works for light and dark backgrounds
+ * - Skips images above the size cap; results cached per image URL
+ * - Stops reading once the per-tweet time budget is spent, so one long
+ *   screenshot cannot hold up the rest of the tweet's checks
+ */
+
+export const OCR_MAX_BYTES = 1.5 * 1024 * 1024; // larger files are photos, not screenshots
+export const OCR_MAX_LINES = 20;
+export const OCR_MAX_CHARS = 1000;
+export const OCR_BUDGET_MS = 1500; // per tweet, across all of its photos
+const OCR_MAX_WIDTH = 1200;   // wider images are scaled down before segmentation
+const INK_DELTA = 60;         // luminance difference from the background that counts as ink
+const MIN_ROW_INK = 0.005;    // share of ink pixels for a row to belong to a line
+const MIN_LINE_HEIGHT = 6;
+const LINE_PADDING = 3;
+
+/**
+ * Find text lines in a grayscale image.
+ * @param {Uint8ClampedArray|number[]} gray Luminance per pixel, row-major
+ * @returns {{ top: number, bottom: number }[]} Row ranges, bottom exclusive
+ */
+export const findTextLines = (gray, width, height) => {
+  // The most common luminance is the background, dark mode or not
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+  const background = histogram.indexOf(Math.max(...histogram));
+
+  const lines = [];
+  let top = -1;
+  for (let y = 0; y <= height; y++) {
+    let ink = 0;
+    if (y < height) {
+      for (let x = 0; x < width; x++) {
+        if (Math.abs(gray[y * width + x] - background) > INK_DELTA) ink++;
+      }
+    }
+    const isText = y < height && ink / width >= MIN_ROW_INK;
+    if (isText && top < 0) {
+      top = y;
+    } else if (!isText && top >= 0) {
+      if (y - top >= MIN_LINE_HEIGHT) {
+        lines.push({ top: Math.max(0, top - LINE_PADDING), bottom: Math.min(height, y + LINE_PADDING) });
+      }
+      top = -1;
+    }
+  }
+  return lines;
+};
+
+const toGray = ({ data, width, height }) => {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+};
+
+/**
+ * @param {() => Promise<Function>} loadPipeline Resolves the image-to-text (TrOCR) pipeline
+ * @param {{ maxEntries?: number }} [options]
+ */
+export const createOcrReader = (loadPipeline, { maxEntries = 300 } = {}) => {
+  const cache = new Map(); // image URL -> recognized text ('' for none or skipped)
+
+  // { text, complete }; incomplete when the deadline cut the line loop short
+  const recognize = async (url, deadline) => {
+    const response = await fetch(url);
+    const blob = await response.blob();
+    if (blob.size > OCR_MAX_BYTES) return { text: '', complete: true };
+
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, OCR_MAX_WIDTH / bitmap.width);
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const lines = findTextLines(toGray(context.getImageData(0, 0, width, height)), width, height)
+      .slice(0, OCR_MAX_LINES);
+    if (!lines.length) return { text: '', complete: true };
+
+    const pipe = await loadPipeline();
+    const texts = [];
+    let complete = true;
+    for (const { top, bottom } of lines) {
+      if (Date.now() >= deadline) {
+        complete = false;
+        break;
+      }
+      const strip = new OffscreenCanvas(width, bottom - top);
+      strip.getContext('2d').drawImage(canvas, 0, top, width, bottom - top, 0, 0, width, bottom - top);
+      const stripUrl = URL.createObjectURL(await strip.convertToBlob());
+      try {
+        const [{ generated_text: text }] = await pipe(stripUrl);
+        if (text?.trim()) texts.push(text.trim());
+      } finally {
+        URL.revokeObjectURL(stripUrl);
+      }
+    }
+    return { text: texts.join('\n').slice(0, OCR_MAX_CHARS), complete };
+  };
+
+  // Only complete readings are cached; a cut-short one is read again next time
+  const readImage = async (url, deadline) => {
+    if (cache.has(url)) return cache.get(url);
+    const { text, complete } = await recognize(url, deadline);
+    if (!complete) return text;
+    cache.set(url, text);
+    if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    return text;
+  };
+
+  /**
+   * Text from all of a tweet's photos, in order; unreadable images contribute nothing.
+   * Whatever was read when `budgetMs` runs out is returned as is.
+   */
+  const readImages = async (urls, { budgetMs = OCR_BUDGET_MS } = {}) => {
+    const deadline = Date.now() + budgetMs;
+    const texts = [];
+    for (const url of urls) {
+      if (Date.now() >= deadline && !cache.has(url)) continue;
+      try {
+        const text = await readImage(url, deadline);
+        if (text) texts.push(text);
+      } catch (err) {
+        console.warn(`OCR failed for ${url}:`, err.message);
+      }
+    }
+    return texts.join('\n');
+  };
+
+  return { readImages };
+};
@@ -1,21 +1,142 @@
 // scripts/offscreen.js
-import { getMiniLMPipeline } from './modelManager.js';
+import { getEmbeddingPipeline, releaseEmbeddingPipeline, getAuxiliaryPipeline, loadedAuxiliaryPipeline } from './modelManager.js';
+import { getModelSpec, normalizeModelSelection, modelKey } from './modelRegistry.js';
+import { interestPhrases } from './interests.js';
+import { setCacheModel, getCachedEmbedding, putCachedEmbedding } from './embeddingCache.js';
+import { createBatchQueue } from './batchQueue.js';
+import { normalizeToxicityFilter, toxicityScore, applyToxicityCeiling } from './toxicity.js';
+import { pickCategory } from './categories.js';
+import {
+  normalizeMediaSettings, createImageScorer, imageWeight, bestImageMatch, IMAGE_MATCH_PROB, MIN_TEXT_LENGTH
+} from './media.js';
+import { decide } from './decision.js';
+import { createOcrReader } from './ocr.js';
 
 console.log('Offscreen document loaded and ready');
 
 let classifier;
+let modelSelection = normalizeModelSelection(); // { id, variant } from the popup's model picker
 let interestEmbeddings = [];
+let avoidEmbeddings = [];
+let labeledEmbeddings = []; // user corrections: { id, label, emb }
+let textEmbeddings = new Map(); // phrase/correction text -> embedding, so re-syncs skip inference
 let spamList = [];
 let threshold = 0.35;
+let categoryFilters = []; // enabled zero-shot filters: { label, action, cutoff }
+const CATEGORY_HYPOTHESIS = 'This tweet is about {}.';
+let toxicityFilter = normalizeToxicityFilter(); // { enabled, ceiling, action }
+let mediaSettings = normalizeMediaSettings();
+const imageScorer = createImageScorer(() => getAuxiliaryPipeline('clip'));
+const ocrReader = createOcrReader(() => getAuxiliaryPipeline('ocr'));
+
+/* ------------------------------------------------ *
+ * Readiness state machine                          *
+ *   idle → loading → embedding → ready             *
+ * 'embedding' covers waiting for the first         *
+ * SET_INTERESTS after load and every re-embed;     *
+ * 'error' means the model failed to load; a model  *
+ * switch goes back to 'loading'.                   *
+ * CLASSIFY requests wait until 'ready'.            *
+ * ------------------------------------------------ */
+let state = 'idle';
+let readyWaiters = [];
+let modelPromise = null;
+let pendingInterests = null; // latest SET_INTERESTS, applied once the model is loaded
+let pendingExamples = [];    // latest SET_LABELED_EXAMPLES
+let embedGeneration = 0;     // only the newest re-embed may declare readiness
+const READY_TIMEOUT_MS = 30000;
+
+const setState = (next, error) => {
+  state = next;
+  console.log(`Offscreen: state → ${next}`);
+  chrome.runtime.sendMessage({ type: 'OFFSCREEN_STATE', payload: { state, error } })
+    .catch(() => { /* background may be restarting */ });
+
+  if (next === 'ready' || next === 'error') {
+    const waiters = readyWaiters;
+    readyWaiters = [];
+    for (const w of waiters) {
+      if (next === 'ready') w.resolve();
+      else w.reject(new Error(error || 'Model failed to load'));
+    }
+  }
+};
+
+// Each waiter gives up after READY_TIMEOUT_MS; its timer goes once it is settled
+const whenReady = () => {
+  if (state === 'ready') return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const waiter = {
+      resolve: () => { clearTimeout(timer); resolve(); },
+      reject: (err) => { clearTimeout(timer); reject(err); }
+    };
+    const timer = setTimeout(() => {
+      readyWaiters = readyWaiters.filter(w => w !== waiter);
+      reject(new Error(`Offscreen not ready (state: ${state})`));
+    }, READY_TIMEOUT_MS);
+    readyWaiters.push(waiter);
+  });
+};
 
 /* ------------------------------------------------ *
  * Receive commands from background                 *
  * ------------------------------------------------ */
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   if (msg.type === 'SET_INTERESTS') {
-    recalcEmbeddings(msg.interests || []);
     spamList = msg.spamKeywords || [];
     threshold = msg.threshold ?? 0.35;
+    pendingInterests = { interests: msg.interests || [], avoidedTopics: msg.avoidedTopics || [] };
+    imageScorer.setLabels(pendingInterests.interests.map(i => i.label));
+    refreshEmbeddings();
+    return;
+  }
+
+  if (msg.type === 'SET_LABELED_EXAMPLES') {
+    pendingExamples = msg.examples || [];
+    refreshEmbeddings();
+    return;
+  }
+
+  if (msg.type === 'SET_CATEGORIES') {
+    categoryFilters = msg.categories || [];
+    if (categoryFilters.length) {
+      // Start the NLI download now; tweets skip the filters until it has loaded
+      getAuxiliaryPipeline('zeroShot').catch(() => { /* classify() skips the filters */ });
+    }
+    return;
+  }
+
+  if (msg.type === 'SET_TOXICITY') {
+    toxicityFilter = normalizeToxicityFilter(msg.filter);
+    if (toxicityFilter.enabled) {
+      getAuxiliaryPipeline('toxicity').catch(() => { /* classify() skips the filter */ });
+    }
+    return;
+  }
+
+  if (msg.type === 'SET_MEDIA_SETTINGS') {
+    mediaSettings = normalizeMediaSettings(msg.settings);
+    if (mediaSettings.imageScoring) {
+      getAuxiliaryPipeline('clip').catch(() => { /* classify() goes text-only */ });
+    }
+    if (mediaSettings.ocr) {
+      getAuxiliaryPipeline('ocr').catch(() => { /* classify() skips OCR */ });
+    }
+    return;
+  }
+
+  if (msg.type === 'SET_BATCH_CONFIG') {
+    embedQueue.configure(msg.config || {});
+    return;
+  }
+
+  if (msg.type === 'GET_OFFSCREEN_STATE') {
+    sendResponse({ state });
+    return;
+  }
+
+  if (msg.type === 'SET_MODEL') {
+    switchModel(msg.model);
     return;
   }
 
@@ -23,6 +144,7 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     console.log('Offscreen: Received preload request, starting model load...');
     (async () => {
       try {
+        if (msg.model) await switchModel(msg.model);
         await ensureModel();
         console.log('Offscreen: Model preload complete');
         sendResponse({ success: true });
@@ -36,60 +158,274 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
 
   if (msg.type === 'CLASSIFY') {
     (async () => {
-      await ensureModel();      // lazy initialisation
-      const result = classify(msg.text);
-      sendResponse({ ...result, id: msg.id });
+      try {
+        await ensureModel();      // lazy initialisation
+        await whenReady();        // interest embeddings must exist
+        const result = await classify(msg.text, msg.id, msg.imageUrls, msg.photoUrls);
+        sendResponse({ ...result, id: msg.id });
+      } catch (err) {
+        console.warn('Offscreen: Classify failed:', err.message);
+        sendResponse({ id: msg.id, error: err.message });
+      }
     })();
     return true; // async response
   }
 });
 
-const ensureModel = async () => {
-  if (classifier) return;
+const ensureModel = () => {
+  if (modelPromise) return modelPromise;
+
+  const selection = modelSelection;
+  const promise = (async () => {
+    if (state !== 'loading') setState('loading'); // switchModel already announced it
+    let pipe;
+    try {
+      console.log('Offscreen: Ensuring model is loaded...');
+      pipe = await getEmbeddingPipeline(selection);
+      console.log('Offscreen: Model loaded successfully');
+    } catch (err) {
+      console.error('Offscreen: Failed to load model:', err);
+      if (modelPromise === promise) {
+        modelPromise = null; // Reset so it can be retried
+        setState('error', err.message);
+      }
+      throw err;
+    }
+    if (selection !== modelSelection) return; // switched models while loading
+    classifier = pipe;
+    await setCacheModel(modelKey(selection)).catch(err =>
+      console.warn('Offscreen: Embedding cache unavailable:', err));
+    setState('embedding');
+    await refreshEmbeddings();
+  })();
+
+  modelPromise = promise;
+  return promise;
+};
+
+/**
+ * Switch to another registry model. Everything embedded with the old model
+ * lives in a different vector space, so it is dropped and re-embedded; the
+ * document is 'loading' until the new model's embeddings are ready, so
+ * CLASSIFY requests wait instead of mixing the two models.
+ */
+const switchModel = async (selection) => {
+  const next = normalizeModelSelection(selection);
+  if (modelKey(next) === modelKey(modelSelection)) return;
+
+  console.log(`Offscreen: Switching model ${modelKey(modelSelection)} → ${modelKey(next)}`);
+  const previous = modelSelection;
+  const hadModel = !!modelPromise;
+  modelSelection = next;
+  classifier = null;
+  modelPromise = null;
+  textEmbeddings = new Map();
+  embedGeneration++; // discard any re-embed still running on the old model
+  if (hadModel) setState('loading');
+  await releaseEmbeddingPipeline(previous);
+  if (hadModel) {
+    ensureModel().catch(() => { /* reported through the 'error' state */ });
+  }
+};
+
+// Run several texts through the pipeline at once; output is a [n, dims] tensor
+const embedBatch = async (texts) => {
+  if (!classifier) throw new Error('Embedding model is switching');
+  const { pooling, normalize, prefix } = getModelSpec(modelSelection.id);
+  const output = await classifier(texts.map(t => prefix + t), { pooling, normalize });
+  const dims = output.dims[output.dims.length - 1];
+  return texts.map((_, i) => output.data.slice(i * dims, (i + 1) * dims));
+};
+
+// Every embedding request (tweets, interests, corrections) shares one micro-batch queue
+const embedQueue = createBatchQueue(embedBatch);
+
+const embed = (text) => embedQueue.push(text);
+
+/**
+ * Re-embed interests, avoided topics and corrections, then declare readiness.
+ * Waits for the model and for the first SET_INTERESTS; texts embedded by an
+ * earlier run are reused.
+ */
+const refreshEmbeddings = async () => {
+  if (!classifier || !pendingInterests) return;
+  const generation = ++embedGeneration;
+  if (state !== 'embedding') setState('embedding');
+
+  const next = new Map();
+  const embedText = async (text) => {
+    const emb = next.get(text) ?? textEmbeddings.get(text) ?? await embed(text);
+    next.set(text, emb);
+    return emb;
+  };
+  const embedPhrases = (phrases) =>
+    Promise.all(phrases.map(async phrase => ({ phrase, emb: await embedText(phrase) })));
+
   try {
-    console.log('Offscreen: Ensuring model is loaded...');
-    classifier = await getMiniLMPipeline();
-    console.log('Offscreen: Model loaded successfully');
+    const { interests, avoidedTopics } = pendingInterests;
+    const examples = pendingExamples;
+    // Each interest keeps its label and example phrases as a set of prototypes
+    const interestList = await Promise.all(interests.map(async i => ({
+      t: i.label,
+      threshold: i.threshold ?? threshold,
+      weight: i.weight ?? 1,
+      phrases: await embedPhrases(interestPhrases(i))
+    })));
+    const avoidList = await Promise.all(avoidedTopics.map(async t => ({
+      t,
+      threshold,
+      weight: 1,
+      phrases: await embedPhrases([t])
+    })));
+    const labeledList = await Promise.all(examples.map(async e => ({
+      id: e.id,
+      label: e.label,
+      emb: await embedText(e.text)
+    })));
+
+    if (generation !== embedGeneration) return; // superseded by a newer update
+    interestEmbeddings = interestList;
+    avoidEmbeddings = avoidList;
+    labeledEmbeddings = labeledList;
+    textEmbeddings = next;
+    setState('ready');
   } catch (err) {
-    console.error('Offscreen: Failed to load model:', err);
-    throw err;
+    console.error('Offscreen: Failed to embed interests:', err);
+    if (generation === embedGeneration) setState('error', err.message);
   }
 };
 
-const recalcEmbeddings = (interests) => {
-  if (!classifier) return; // will recalc after model ready
-  interestEmbeddings = interests.map(t => ({
-    t,
-    emb: classifier(t, { pooling: 'mean', normalize: true })[0]
-  }));
+// Embed a tweet, reusing the persisted embedding when this exact tweet was seen before
+const embedTweet = async (tweet, id) => {
+  if (!id) return embed(tweet);
+  try {
+    const cached = await getCachedEmbedding(id, tweet);
+    if (cached) return cached;
+  } catch (err) {
+    console.warn('Offscreen: Embedding cache read failed:', err);
+  }
+  const model = modelKey(modelSelection); // a switch while embedding must not cache this vector
+  const emb = await embed(tweet);
+  putCachedEmbedding(id, tweet, emb, model).catch(err =>
+    console.warn('Offscreen: Embedding cache write failed:', err));
+  return emb;
+};
+
+/**
+ * Score the tweet against the enabled category filters with the zero-shot
+ * model. Returns the highest-scoring category that clears its own cutoff,
+ * or null. Labels are scored independently (multi_label), so "politics"
+ * and "rage bait" can both be high for the same tweet.
+ */
+const matchCategory = async (tweet) => {
+  if (!categoryFilters.length) return null;
+  const zeroShot = loadedAuxiliaryPipeline('zeroShot');
+  if (!zeroShot) return null; // Still downloading, or failed and waiting to retry
+  const output = await zeroShot(tweet, categoryFilters.map(c => c.label), {
+    multi_label: true,
+    hypothesis_template: CATEGORY_HYPOTHESIS
+  });
+  return pickCategory(categoryFilters, output);
+};
+
+// Toxicity score (0..1) when the filter is enabled and its model has loaded, else null
+const scoreToxicity = async (tweet) => {
+  if (!toxicityFilter.enabled || !tweet.trim()) return null;
+  const model = loadedAuxiliaryPipeline('toxicity');
+  if (!model) return null;
+  try {
+    return toxicityScore(await model(tweet));
+  } catch (err) {
+    console.warn('Offscreen: Toxicity filter unavailable:', err.message);
+    return null;
+  }
+};
+
+// CLIP scores for a tweet's images when they take part in the decision, else null
+const scoreTweetImages = async (tweet, imageUrls = []) => {
+  if (!mediaSettings.imageScoring || !imageUrls.length || !loadedAuxiliaryPipeline('clip')) return null;
+  const weight = imageWeight(tweet.trim().length, mediaSettings.imageWeight);
+  if (weight === 0) return null;
+  try {
+    const scores = await imageScorer.scoreImages(imageUrls);
+    return scores ? { scores, weight } : null;
+  } catch (err) {
+    console.warn('Offscreen: Image scoring unavailable:', err.message);
+    return null;
+  }
+};
+
+// Text read from a tweet's photos (screenshots of posts, articles), or ''
+const readTweetPhotos = async (photoUrls = []) => {
+  if (!mediaSettings.ocr || !photoUrls.length || !loadedAuxiliaryPipeline('ocr')) return '';
+  try {
+    return await ocrReader.readImages(photoUrls);
+  } catch (err) {
+    console.warn('Offscreen: OCR unavailable:', err.message);
+    return '';
+  }
 };
 
 // Core logic
-const classify = (tweet) => {
+const classify = async (body, id, imageUrls, photoUrls) => {
+  // Photo text counts as part of the tweet for keywords, filters and the embedding
+  const ocrText = await readTweetPhotos(photoUrls);
+  const tweet = ocrText ? `${body}\n${ocrText}` : body;
+
   const lower = tweet.toLowerCase();
-  if (spamList.some(k => lower.includes(k)))
-    return { isUninteresting: true, reason: 'Spam' };
+  const spamKeyword = spamList.find(k => lower.includes(k));
+  if (spamKeyword)
+    return { isUninteresting: true, reason: 'Spam', spamKeyword, ...(ocrText && { ocrText }) };
 
-  if (!interestEmbeddings.length)
-    return { isUninteresting: false, reason: 'No interests' };
+  // The toxicity model runs alongside topic matching
+  const [toxicity, result] = await Promise.all([scoreToxicity(tweet), classifyTopic(tweet, id, imageUrls)]);
+  const final = applyToxicityCeiling(result, toxicity, toxicityFilter);
+  return ocrText ? { ...final, ocrText } : final;
+};
 
-  const emb = classifier(tweet, { pooling: 'mean', normalize: true })[0];
-  let maxSim = -1;
-  for (const i of interestEmbeddings) {
-    const sim = cosine(emb, i.emb);
-    if (sim > maxSim) maxSim = sim;
+// Topic decision: category filters, then interest similarity
+const classifyTopic = async (tweet, id, imageUrls) => {
+  // Image-only tweet: there is no text to embed, so the images decide (or it is kept)
+  if (tweet.trim().length < MIN_TEXT_LENGTH) {
+    const best = bestImageMatch((await scoreTweetImages(tweet, imageUrls))?.scores);
+    if (!best) return { isUninteresting: false, reason: 'No text' };
+    return {
+      isUninteresting: best.prob < IMAGE_MATCH_PROB,
+      reason: `image=${best.label} p=${best.prob.toFixed(2)}`,
+      image: { label: best.label, score: Number(best.prob.toFixed(3)), weight: 1 }
+    };
+  }
+
+  // Category filters run before interest similarity; a failing model only skips them
+  let category = null;
+  try {
+    category = await matchCategory(tweet);
+  } catch (err) {
+    console.warn('Offscreen: Category filters unavailable:', err.message);
+  }
+  if (category) {
+    return {
+      isUninteresting: category.action === 'hide',
+      action: category.action,
+      category: category.label,
+      reason: `Category: ${category.label} (${category.score.toFixed(2)})`
+    };
   }
-  return {
-    isUninteresting: maxSim < threshold,
-    reason: `sim=${maxSim.toFixed(2)}`
-  };
-};
 
-// Fast cosine (Float32Array)
-const cosine = (a, b) => {
-  let dot = 0, na = 0, nb = 0;
-  for (let i = 0; i < a.length; ++i) {
-    dot += a[i] * b[i]; na += a[i] ** 2; nb += b[i] ** 2;
+  if (!interestEmbeddings.length && !avoidEmbeddings.length && !labeledEmbeddings.length)
+    return { isUninteresting: false, reason: 'No interests' };
+
+  const model = modelSelection;
+  const embedded = Promise.all([embedTweet(tweet, id), scoreTweetImages(tweet, imageUrls)]);
+  const [emb, image] = await embedded.catch(err => {
+    if (model === modelSelection) throw err;
+    return [];
+  });
+  // The model was switched meanwhile: start over once its interests are embedded
+  if (model !== modelSelection) {
+    await whenReady();
+    return classifyTopic(tweet, id, imageUrls);
   }
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
-};
\ No newline at end of file
+  const embeddings = { interests: interestEmbeddings, avoided: avoidEmbeddings, labeled: labeledEmbeddings, threshold };
+  return decide(emb, embeddings, image);
+};
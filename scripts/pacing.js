@@ -0,0 +1,40 @@
+/**
+ * Pacing - Budget for automated clicks on X's own menus
+ * Features:
+ * - Per-hour and per-day limits on native actions ("Not interested")
+ * - Usage kept as the timestamps of the last day's actions (`nativeActionTimes`)
+ * - Shared by the background worker, which counts an action once X's menu
+ *   was clicked and falls back to local hiding when no room is left, and the
+ *   popup, which shows the counters
+ *
+ * Budget: { perHour, perDay }, stored as `nativeBudget`
+ */
+
+export const HOUR_MS = 60 * 60 * 1000;
+export const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_NATIVE_BUDGET = { perHour: 15, perDay: 60 };
+
+const limit = (value, fallback) => {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export const normalizeNativeBudget = (budget) => ({
+  perHour: limit(budget?.perHour, DEFAULT_NATIVE_BUDGET.perHour),
+  perDay: limit(budget?.perDay, DEFAULT_NATIVE_BUDGET.perDay)
+});
+
+// Timestamps that still count against the daily budget
+export const pruneActionTimes = (times, now = Date.now()) =>
+  (Array.isArray(times) ? times : []).filter(ts => Number.isFinite(ts) && now - ts < DAY_MS);
+
+export const budgetUsage = (times, now = Date.now()) => {
+  const day = pruneActionTimes(times, now);
+  return { hour: day.filter(ts => now - ts < HOUR_MS).length, day: day.length };
+};
+
+export const hasNativeBudget = (times, budget, now = Date.now()) => {
+  const usage = budgetUsage(times, now);
+  return usage.hour < budget.perHour && usage.day < budget.perDay;
+};
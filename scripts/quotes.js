@@ -0,0 +1,56 @@
+/**
+ * Quote tweet handling shared by the background worker and the popup.
+ * The quoting comment and the quoted tweet are classified separately and
+ * combined according to the user's quote mode:
+ * - 'either':  keep the tweet if the comment or the quoted tweet matches
+ * - 'comment': only the comment decides; the quoted tweet is just logged
+ */
+
+export const QUOTE_MODES = ['either', 'comment'];
+export const DEFAULT_QUOTE_MODE = 'either';
+// Comments shorter than this ("This 👇", "lol") say nothing about the topic
+export const MIN_COMMENT_LENGTH = 10;
+
+export const normalizeQuoteMode = (mode) => QUOTE_MODES.includes(mode) ? mode : DEFAULT_QUOTE_MODE;
+
+const actionOf = (result) => result.action || (result.isUninteresting ? 'hide' : 'keep');
+
+// Spam, category and toxicity decisions carry their own action and apply to either part
+// (the offscreen and the keyword fallback both set `spamKeyword` on spam)
+const isFilterHit = (result) => !!result.spamKeyword || (!!result.action && result.action !== 'keep');
+
+const summary = (result) => ({
+  decision: actionOf(result),
+  score: Number.isFinite(result.score) ? Number(result.score.toFixed(3)) : null,
+  reason: result.reason
+});
+
+const formatScore = (part) => part.score === null ? part.decision : `${part.decision} ${part.score.toFixed(2)}`;
+
+/**
+ * Combine the comment's and the quoted tweet's classification.
+ * @param {object|null} comment Result for the quoting comment, null when it is too short
+ * @param {object} quoted Result for the quoted tweet
+ * @param {'either' | 'comment'} mode
+ * @returns The chosen result, with `quote: { mode, comment, quoted }` for the log
+ */
+export const combineQuoteResults = (comment, quoted, mode = DEFAULT_QUOTE_MODE) => {
+  let chosen;
+  if (!comment) {
+    chosen = quoted; // nothing to judge the comment by
+  } else if (isFilterHit(comment) || isFilterHit(quoted)) {
+    chosen = isFilterHit(comment) ? comment : quoted;
+  } else if (mode === 'either' && actionOf(comment) !== 'keep' && actionOf(quoted) === 'keep') {
+    chosen = quoted;
+  } else {
+    chosen = comment;
+  }
+
+  const quote = {
+    mode,
+    comment: comment ? summary(comment) : null,
+    quoted: summary(quoted)
+  };
+  const scores = `comment ${quote.comment ? formatScore(quote.comment) : 'n/a'} / quoted ${formatScore(quote.quoted)}`;
+  return { ...chosen, quote, reason: `${chosen.reason} [${scores}]` };
+};
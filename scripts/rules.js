@@ -0,0 +1,105 @@
+/**
+ * Rule Engine - Deterministic user overrides evaluated before the AI
+ * Features:
+ * - Ordered list; the first enabled rule whose conditions all hold wins
+ * - Conditions on author, text regex, hashtags, media, reply/repost/quote
+ *   status and link domains (body links and the link card); empty conditions are ignored
+ * - Each rule keeps, hides or dims the tweet
+ *
+ * A rule: { id, name, enabled, action: 'keep' | 'hide' | 'dim', match: {
+ *   authors: string[], textRegex: string, hashtags: string[], minHashtags: number|null,
+ *   media: 'any' | 'with' | 'without', kind: 'any' | 'original' | 'reply' | 'repost' | 'quote',
+ *   domains: string[] } }
+ */
+
+import { cleanDomain, tweetDomains, matchesDomain } from './domains.js';
+
+export { cleanDomain };
+
+export const RULE_ACTIONS = ['keep', 'hide', 'dim'];
+export const MEDIA_OPTIONS = ['any', 'with', 'without'];
+export const KIND_OPTIONS = ['any', 'original', 'reply', 'repost', 'quote'];
+
+const cleanList = (value, clean) => {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return [...new Set(items.map(v => clean(String(v))).filter(Boolean))];
+};
+
+const cleanHandle = (handle) => handle.trim().toLowerCase().replace(/^@/, '');
+const cleanHashtag = (tag) => tag.trim().toLowerCase().replace(/^#/, '');
+
+export const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+export const normalizeRule = (rule, index = 0) => {
+  if (!rule || typeof rule !== 'object') return null;
+  const match = rule.match || {};
+  const minHashtags = Math.floor(Number(match.minHashtags));
+  return {
+    id: String(rule.id || `rule-${Date.now().toString(36)}-${index}`),
+    name: String(rule.name || '').trim() || `Rule ${index + 1}`,
+    enabled: rule.enabled !== false,
+    action: RULE_ACTIONS.includes(rule.action) ? rule.action : 'hide',
+    match: {
+      authors: cleanList(match.authors, cleanHandle),
+      textRegex: typeof match.textRegex === 'string' ? match.textRegex.trim() : '',
+      hashtags: cleanList(match.hashtags, cleanHashtag),
+      minHashtags: Number.isFinite(minHashtags) && minHashtags > 0 ? minHashtags : null,
+      media: MEDIA_OPTIONS.includes(match.media) ? match.media : 'any',
+      kind: KIND_OPTIONS.includes(match.kind) ? match.kind : 'any',
+      domains: cleanList(match.domains, cleanDomain)
+    }
+  };
+};
+
+export const normalizeRules = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizeRule).filter(Boolean);
+
+// A rule without any condition would match every tweet; treat it as unfinished
+const hasConditions = ({ match }) =>
+  match.authors.length > 0 || match.textRegex !== '' || match.hashtags.length > 0 ||
+  match.minHashtags !== null || match.media !== 'any' || match.kind !== 'any' || match.domains.length > 0;
+
+const tweetKind = (tweet) => {
+  if (tweet.isRepost) return 'repost';
+  if (tweet.isQuote) return 'quote';
+  if (tweet.isReply) return 'reply';
+  return 'original';
+};
+
+const matchesRule = (rule, tweet) => {
+  const { match } = rule;
+  const hashtags = (tweet.hashtags || []).map(cleanHashtag);
+
+  // On a repost the reposter counts as an author too ("hide reposts from @someone")
+  const authors = [tweet.handle, tweet.repostedBy].filter(Boolean).map(cleanHandle);
+  if (match.authors.length && !match.authors.some(a => authors.includes(a))) return false;
+  if (match.textRegex) {
+    if (!isValidRegex(match.textRegex) || !new RegExp(match.textRegex, 'i').test(tweet.text || '')) return false;
+  }
+  if (match.hashtags.length && !match.hashtags.some(tag => hashtags.includes(tag))) return false;
+  if (match.minHashtags !== null && hashtags.length < match.minHashtags) return false;
+  if (match.media !== 'any' && !!tweet.hasMedia !== (match.media === 'with')) return false;
+  if (match.kind !== 'any' && tweetKind(tweet) !== match.kind) return false;
+  if (match.domains.length) {
+    // A rule for example.com also covers news.example.com
+    const domains = tweetDomains(tweet);
+    if (!domains.some(d => match.domains.some(m => matchesDomain(d, m)))) return false;
+  }
+  return true;
+};
+
+/**
+ * First enabled rule matching the tweet, or null.
+ * @param {object[]} rules Normalized rules, in priority order
+ * @param {{ text?: string, handle?: string, repostedBy?: string, hashtags?: string[], urls?: string[],
+ *   card?: { domain?: string } | null, hasMedia?: boolean, isReply?: boolean, isRepost?: boolean, isQuote?: boolean }} tweet
+ */
+export const evaluateRules = (rules, tweet) =>
+  rules.find(rule => rule.enabled && hasConditions(rule) && matchesRule(rule, tweet)) || null;
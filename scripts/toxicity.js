@@ -0,0 +1,43 @@
+/**
+ * Toxicity filter helpers shared by the background worker, the offscreen
+ * document and the popup. Settings: { enabled, ceiling, action: 'hide' | 'blur' }.
+ * Tweets scoring above the ceiling are hidden or blurred even when they
+ * match an interest.
+ */
+
+export const TOXICITY_ACTIONS = ['blur', 'hide'];
+export const DEFAULT_TOXICITY_CEILING = 0.8;
+
+export const normalizeToxicityFilter = (filter) => {
+  const ceiling = Number(filter?.ceiling);
+  return {
+    enabled: !!filter?.enabled,
+    ceiling: Number.isFinite(ceiling) ? Math.min(1, Math.max(0, ceiling)) : DEFAULT_TOXICITY_CEILING,
+    action: TOXICITY_ACTIONS.includes(filter?.action) ? filter.action : 'blur'
+  };
+};
+
+/**
+ * Collapse text-classification output into one 0..1 score. Every label of
+ * the toxicity model (toxic, insult, threat, ...) is a kind of hostility, so
+ * the strongest one counts. Accepts a single { label, score } or a list.
+ */
+export const toxicityScore = (output) => {
+  const items = (Array.isArray(output) ? output.flat() : [output])
+    .filter(item => item && Number.isFinite(item.score));
+  if (!items.length) return null;
+  return Math.max(...items.map(item => item.score));
+};
+
+// A tweet above the toxicity ceiling is hidden or blurred whatever its topic
+export const applyToxicityCeiling = (result, toxicity, filter) => {
+  if (toxicity === null) return result;
+  if (toxicity <= filter.ceiling) return { ...result, toxicity };
+  return {
+    ...result,
+    isUninteresting: filter.action === 'hide',
+    action: filter.action,
+    reason: `Toxicity ${toxicity.toFixed(2)} > ceiling ${filter.ceiling.toFixed(2)}`,
+    toxicity
+  };
+};
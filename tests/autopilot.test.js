@@ -0,0 +1,19 @@
+/**
+ * Tests for autopilot training sessions (scripts/autopilot.js)
+ */
+import { normalizeAutopilotSettings, formatAutopilotSummary, DEFAULT_AUTOPILOT_SETTINGS } from '../scripts/autopilot.js';
+
+test('session limits are positive whole numbers with caps', () => {
+  expect(normalizeAutopilotSettings(undefined)).toEqual(DEFAULT_AUTOPILOT_SETTINGS);
+  expect(normalizeAutopilotSettings({ maxTweets: '50.9', maxMinutes: 0 }))
+    .toEqual({ maxTweets: 50, maxMinutes: DEFAULT_AUTOPILOT_SETTINGS.maxMinutes });
+  expect(normalizeAutopilotSettings({ maxTweets: 1e6, maxMinutes: 1e6 })).toEqual({ maxTweets: 1000, maxMinutes: 120 });
+});
+
+test('summary reads as one line', () => {
+  expect(formatAutopilotSummary({
+    tweets: 100, kept: 71, hidden: 27, dimmed: 2, blurred: 0, native: 12, durationMs: 372000, reason: 'tweets'
+  })).toBe('100 tweets in 6m 12s: 71 kept, 27 hidden, 2 dimmed (12 sent to X) - tweet limit reached');
+  expect(formatAutopilotSummary({ tweets: 3, kept: 3, durationMs: 9000, reason: 'stopped' }))
+    .toBe('3 tweets in 9s: 3 kept, 0 hidden - stopped');
+});
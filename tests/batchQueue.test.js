@@ -0,0 +1,53 @@
+/**
+ * Tests for the offscreen micro-batching queue (scripts/batchQueue.js)
+ */
+import { createBatchQueue } from '../scripts/batchQueue.js';
+
+const double = jest.fn(async (items) => items.map(x => x * 2));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  double.mockClear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('items pushed within the latency budget run as one batch', async () => {
+  const queue = createBatchQueue(double, { maxBatchSize: 8, maxLatencyMs: 5 });
+  const results = Promise.all([queue.push(1), queue.push(2), queue.push(3)]);
+
+  expect(double).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(5);
+
+  await expect(results).resolves.toEqual([2, 4, 6]);
+  expect(double).toHaveBeenCalledTimes(1);
+  expect(double).toHaveBeenCalledWith([1, 2, 3]);
+});
+
+test('a full batch runs immediately and the remainder follows', async () => {
+  const queue = createBatchQueue(double, { maxBatchSize: 2, maxLatencyMs: 1000 });
+  const results = Promise.all([1, 2, 3, 4, 5].map(queue.push));
+
+  await expect(results).resolves.toEqual([2, 4, 6, 8, 10]);
+  expect(double.mock.calls.map(([items]) => items)).toEqual([[1, 2], [3, 4], [5]]);
+});
+
+test('a failed batch rejects every caller in it', async () => {
+  const queue = createBatchQueue(async () => { throw new Error('boom'); }, { maxLatencyMs: 0 });
+  const first = queue.push('a');
+  const second = queue.push('b');
+  jest.advanceTimersByTime(0);
+
+  await expect(first).rejects.toThrow('boom');
+  await expect(second).rejects.toThrow('boom');
+});
+
+test('configure ignores invalid values', async () => {
+  const queue = createBatchQueue(double, { maxBatchSize: 2 });
+  queue.configure({ maxBatchSize: 0, maxLatencyMs: -1 });
+  const results = Promise.all([queue.push(1), queue.push(2)]);
+
+  await expect(results).resolves.toEqual([2, 4]); // still flushes at size 2
+});
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark: one-at-a-time embedding vs. the offscreen micro-batch queue
+ * Run with: npm run bench:batch
+ */
+
+import { createBatchQueue } from '../scripts/batchQueue.js';
+
+console.log('⏱️  Batched Inference Benchmark');
+console.log('==============================\n');
+
+const SAMPLE_TWEETS = [
+    'New AI breakthrough in neural networks',
+    'Stock market hits new record high',
+    'Scientists develop quantum computer prototype',
+    'Our startup just closed a seed round led by a16z',
+    'TSMC reports record demand for 3nm wafers',
+    'The new GPU benchmarks are out and they are wild',
+    'What I had for breakfast today was amazing',
+    'Thread: everything I learned shipping a Rust compiler plugin',
+    'Election polling shows a tight race in three states',
+    'Celebrity couple spotted at a beach in Malibu',
+    'Paper: scaling laws for sparse mixture-of-experts models',
+    'Venture capital funding dropped 20% year over year'
+];
+
+const TOTAL = 96;
+// content.js keeps this many tweets awaiting a decision per tab (MAX_IN_FLIGHT)
+const IN_FLIGHT = 16;
+const texts = Array.from({ length: TOTAL }, (_, i) => `${SAMPLE_TWEETS[i % SAMPLE_TWEETS.length]} #${i}`);
+
+async function runBenchmark() {
+    let pipeline;
+    try {
+        ({ pipeline } = await import('@xenova/transformers'));
+    } catch (e) {
+        console.log('❌ @xenova/transformers not found. Run npm install first.');
+        process.exit(1);
+    }
+
+    console.log('🔄 Loading MiniLM model...');
+    const model = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', { quantized: true });
+    const options = { pooling: 'mean', normalize: true };
+
+    // Warm up so the first timed run doesn't pay for graph initialisation
+    await model('warm up', options);
+
+    const embedBatch = async (batch) => {
+        const output = await model(batch, options);
+        const dims = output.dims[output.dims.length - 1];
+        return batch.map((_, i) => output.data.slice(i * dims, (i + 1) * dims));
+    };
+
+    const measure = async (label, fn) => {
+        const start = performance.now();
+        await fn();
+        const ms = performance.now() - start;
+        const perSecond = (TOTAL / ms) * 1000;
+        console.log(`  ${label.padEnd(28)} ${ms.toFixed(0).padStart(6)}ms  ${perSecond.toFixed(1).padStart(7)} tweets/s`);
+        return perSecond;
+    };
+
+    console.log(`\n🧪 Embedding ${TOTAL} tweets, ${IN_FLIGHT} in flight\n`);
+
+    const baseline = await measure('sequential (batch size 1)', async () => {
+        for (const text of texts) {
+            await model(text, options);
+        }
+    });
+
+    // IN_FLIGHT callers that each send their next tweet once the last one is
+    // answered, as the content script does while draining discovered tweets
+    const pushWithCap = async (queue) => {
+        let next = 0;
+        const caller = async () => {
+            while (next < texts.length) {
+                await queue.push(texts[next++]);
+            }
+        };
+        await Promise.all(Array.from({ length: IN_FLIGHT }, caller));
+    };
+
+    const results = [];
+    for (const maxBatchSize of [4, 8, 16]) {
+        const queue = createBatchQueue(embedBatch, { maxBatchSize, maxLatencyMs: 10 });
+        const perSecond = await measure(`queue (batch size ${maxBatchSize})`, () => pushWithCap(queue));
+        results.push({ maxBatchSize, speedup: perSecond / baseline });
+    }
+
+    console.log('\n📊 Speed-up over sequential:');
+    for (const { maxBatchSize, speedup } of results) {
+        console.log(`  batch size ${String(maxBatchSize).padStart(2)}: ${speedup.toFixed(2)}x`);
+    }
+}
+
+runBenchmark().catch((error) => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for category filter normalization (scripts/categories.js)
+ */
+import { normalizeCategoryFilters, pickCategory, DEFAULT_CATEGORY_FILTERS, DEFAULT_CATEGORY_CUTOFF } from '../scripts/categories.js';
+
+test('built-in categories are offered, disabled, on first use', () => {
+  const filters = normalizeCategoryFilters(undefined);
+  expect(filters.map(f => f.label)).toEqual(DEFAULT_CATEGORY_FILTERS.map(f => f.label));
+  expect(filters.every(f => !f.enabled)).toBe(true);
+  // Callers may edit the result without touching the defaults
+  filters[0].enabled = true;
+  expect(DEFAULT_CATEGORY_FILTERS[0].enabled).toBe(false);
+});
+
+test('stored filters are cleaned: action, cutoff, duplicates', () => {
+  expect(normalizeCategoryFilters([
+    { label: ' Crypto Shilling ', enabled: 1, action: 'dim', cutoff: 0.6 },
+    { label: 'crypto shilling', action: 'keep' },
+    { label: 'memes', action: 'explode', cutoff: 7 },
+    { label: 'nsfw', cutoff: 'high' },
+    { label: '' },
+    null
+  ])).toEqual([
+    { label: 'crypto shilling', enabled: true, action: 'dim', cutoff: 0.6 },
+    { label: 'memes', enabled: false, action: 'hide', cutoff: 1 },
+    { label: 'nsfw', enabled: false, action: 'hide', cutoff: DEFAULT_CATEGORY_CUTOFF }
+  ]);
+  // An explicitly emptied list stays empty
+  expect(normalizeCategoryFilters([])).toEqual([]);
+});
+
+// Zero-shot output is sorted by score, highest first
+test('category filter picks the top category that clears its own cutoff', () => {
+  const filters = [
+    { label: 'politics', action: 'dim', cutoff: 0.95 },
+    { label: 'rage bait', action: 'hide', cutoff: 0.8 }
+  ];
+
+  expect(pickCategory(filters, { labels: ['politics', 'rage bait'], scores: [0.9, 0.85] }).label).toBe('rage bait');
+  expect(pickCategory(filters, { labels: ['politics', 'rage bait'], scores: [0.97, 0.85] })).toEqual({ ...filters[0], score: 0.97 });
+  expect(pickCategory(filters, { labels: ['rage bait', 'politics'], scores: [0.5, 0.2] })).toBeNull();
+});
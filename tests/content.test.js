@@ -0,0 +1,220 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://x.com/home"}
+ */
+/**
+ * Tests for the content script (scripts/content.js) on a sample timeline.
+ * content.js is a classic script without exports, so it is evaluated with a
+ * mocked `chrome` and hands back the functions under test.
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+const SOURCE = readFileSync(join(__dirname, '../scripts/content.js'), 'utf8');
+const EXPORTS = ['extractTweet', 'processTweet', 'collapseTweet', 'queueNativeAction'];
+
+const loadContentScript = () => {
+  const chrome = {
+    runtime: {
+      sendMessage: jest.fn(() => Promise.resolve({ success: true })),
+      onMessage: { addListener: jest.fn() }
+    },
+    storage: {
+      local: { get: jest.fn(() => Promise.resolve({})) },
+      onChanged: { addListener: jest.fn() }
+    }
+  };
+  const api = new Function('chrome', `${SOURCE}\nreturn { ${EXPORTS.join(', ')} };`)(chrome);
+  return { chrome, ...api };
+};
+
+const article = ({ status = '1', text = 'Rust 1.80 ships LazyCell and LazyLock in the standard library' } = {}) => {
+  const el = document.createElement('article');
+  el.setAttribute('data-testid', 'tweet');
+  el.innerHTML = `
+    <div data-testid="User-Name"><a href="/alice"><span>Alice</span></a><span>@alice</span></div>
+    <a href="https://x.com/alice/status/${status}"><time datetime="2026-10-01T10:00:00.000Z">Oct 1</time></a>
+    <div data-testid="tweetText"><span>${text} </span><a href="https://x.com/hashtag/rust">#rust</a></div>
+    <div role="group" aria-label="3 replies, 12 reposts, 1.2K likes, 40 views"></div>`;
+  return el;
+};
+
+// jsdom has no IntersectionObserver; tests report visibility by hand
+class FakeIntersectionObserver {
+  constructor(callback) {
+    this.callback = callback;
+    FakeIntersectionObserver.latest = this;
+  }
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  report(targets) {
+    this.callback(targets.map(target => ({ target, isIntersecting: true })));
+  }
+}
+global.IntersectionObserver = FakeIntersectionObserver;
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  sessionStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'debug').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('extractTweet reads the body, author, counts and hashtags of an article', () => {
+  const { extractTweet } = loadContentScript();
+  const tweet = extractTweet(article());
+
+  expect(tweet).toMatchObject({
+    text: 'Rust 1.80 ships LazyCell and LazyLock in the standard library #rust',
+    handle: '@alice',
+    timestamp: '2026-10-01T10:00:00.000Z',
+    isQuote: false,
+    hashtags: ['rust'],
+    urls: [],
+    counts: { replies: 3, reposts: 12, likes: 1200, views: 40 }
+  });
+});
+
+test('processTweet adds the feedback controls and sends the tweet for evaluation', async () => {
+  const { chrome, processTweet } = loadContentScript();
+  const el = article({ status: '42' });
+  document.body.appendChild(el);
+
+  await processTweet(el);
+
+  expect(el.getAttribute('data-curator-id')).toBe('tweet-42');
+  expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+    type: 'EVALUATE_TWEET',
+    payload: expect.objectContaining({ id: 'tweet-42', tweet: expect.objectContaining({ handle: '@alice' }) })
+  }));
+
+  el.querySelector('.curator-feedback button[title="Should have hidden"]').click();
+  await Promise.resolve();
+  expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({
+    type: 'LABEL_TWEET',
+    payload: { id: 'tweet-42', text: expect.stringContaining('LazyCell'), label: 'hide' }
+  });
+
+  // A processed article is evaluated once
+  await processTweet(el);
+  expect(chrome.runtime.sendMessage.mock.calls.filter(([m]) => m.type === 'EVALUATE_TWEET')).toHaveLength(1);
+});
+
+test('the feedback controls stay on the collapsed placeholder', async () => {
+  const { processTweet, collapseTweet } = loadContentScript();
+  const el = article({ status: '7' });
+  document.body.appendChild(el);
+  await processTweet(el);
+
+  collapseTweet({ id: 'tweet-7', label: 'off-topic' });
+
+  expect(el.querySelector('.curator-placeholder').textContent).toContain('Hidden by Curator: off-topic');
+  expect(el.querySelector('.curator-feedback').style.display).not.toBe('none');
+  expect(el.querySelector('[data-testid="tweetText"]').style.display).toBe('none');
+});
+
+test('a queued native action collapses the tweet instead once the budget ran out', async () => {
+  jest.useFakeTimers();
+  const { chrome, processTweet, queueNativeAction } = loadContentScript();
+  chrome.runtime.sendMessage.mockImplementation(({ type }) =>
+    Promise.resolve(type === 'CHECK_NATIVE_BUDGET' ? { success: true, allowed: false } : { success: true }));
+  const el = article({ status: '9' });
+  el.insertAdjacentHTML('afterbegin', '<div data-testid="caret" aria-haspopup="menu"></div>');
+  const caret = el.querySelector('[data-testid="caret"]');
+  caret.click = jest.fn();
+  document.body.appendChild(el);
+  await processTweet(el);
+
+  queueNativeAction({ id: 'tweet-9', label: 'spam' });
+  await jest.advanceTimersByTimeAsync(5000);
+  jest.useRealTimers();
+
+  expect(caret.click).not.toHaveBeenCalled();
+  expect(el.querySelector('.curator-placeholder').textContent).toContain('Hidden by Curator: spam');
+  expect(chrome.runtime.sendMessage.mock.calls.some(([m]) => m.type === 'NATIVE_ACTION')).toBe(false);
+});
+
+test('a dry-run decision only outlines the tweet', async () => {
+  const { chrome, processTweet } = loadContentScript();
+  const el = article({ status: '11' });
+  el.insertAdjacentHTML('afterbegin', '<div data-testid="caret" aria-haspopup="menu"></div>');
+  const caret = el.querySelector('[data-testid="caret"]');
+  caret.click = jest.fn();
+  document.body.appendChild(el);
+  await processTweet(el);
+
+  const [listener] = chrome.runtime.onMessage.addListener.mock.calls[0];
+  listener({ type: 'SHADOW_TWEET', payload: { id: 'tweet-11', action: 'hide', mode: 'native', label: 'off-topic' } }, {}, jest.fn());
+
+  expect(el.style.outline).toContain('dashed');
+  expect(el.title).toBe('Dry run: AI Curator would hide this tweet (native) - off-topic');
+  expect(el.querySelector('.curator-placeholder')).toBeNull();
+  expect(el.querySelector('[data-testid="tweetText"]').style.display).not.toBe('none');
+  expect(caret.click).not.toHaveBeenCalled();
+  expect(chrome.runtime.sendMessage.mock.calls.some(([m]) => m.type === 'NATIVE_ACTION')).toBe(false);
+});
+
+describe('tweet discovery', () => {
+  const evaluatedIds = (chrome) => chrome.runtime.sendMessage.mock.calls
+    .filter(([m]) => m.type === 'EVALUATE_TWEET')
+    .map(([m]) => m.payload.id);
+
+  // Start curation on an empty timeline, as the background worker does
+  const startOnTimeline = () => {
+    const script = loadContentScript();
+    document.body.innerHTML = '<div data-testid="primaryColumn"></div>';
+    const [listener] = script.chrome.runtime.onMessage.addListener.mock.calls[0];
+    listener({ type: 'START' }, {}, jest.fn());
+    return { ...script, timeline: document.querySelector('[data-testid="primaryColumn"]'), listener };
+  };
+
+  const addCells = (timeline, statuses) => statuses.map(status => {
+    const cell = document.createElement('div');
+    cell.setAttribute('data-testid', 'cellInnerDiv');
+    cell.appendChild(article({ status }));
+    timeline.appendChild(cell);
+    return cell.firstChild;
+  });
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('each new article is queued once, tweets on screen first', async () => {
+    const { chrome, timeline, listener } = startOnTimeline();
+
+    const [, , third] = addCells(timeline, ['1', '2', '3']);
+    await Promise.resolve(); // mutation records are delivered as a microtask
+    FakeIntersectionObserver.latest.report([third]);
+    await jest.advanceTimersByTimeAsync(200);
+
+    expect(evaluatedIds(chrome)).toEqual(['tweet-3', 'tweet-1', 'tweet-2']);
+
+    // X moving a cell around and the safety sweep do not evaluate anything again
+    timeline.appendChild(timeline.firstChild);
+    await jest.advanceTimersByTimeAsync(30000);
+    expect(evaluatedIds(chrome)).toHaveLength(3);
+
+    listener({ type: 'STOP' }, {}, jest.fn());
+  });
+
+  test('at most 16 tweets await a decision at once', async () => {
+    const { chrome, timeline, listener } = startOnTimeline();
+    const answers = [];
+    chrome.runtime.sendMessage.mockImplementation(({ type }) => type === 'EVALUATE_TWEET'
+      ? new Promise(resolve => answers.push(resolve))
+      : Promise.resolve({ success: true }));
+
+    addCells(timeline, Array.from({ length: 20 }, (_, i) => String(i + 1)));
+    await jest.advanceTimersByTimeAsync(200);
+    expect(evaluatedIds(chrome)).toHaveLength(16);
+
+    answers[0]({ success: true });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(evaluatedIds(chrome)).toHaveLength(17);
+
+    listener({ type: 'STOP' }, {}, jest.fn());
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Tests for link domains and domain lists (scripts/domains.js)
+ */
+import { normalizeDomainLists, tweetDomains, matchDomainLists } from '../scripts/domains.js';
+
+test('domain lists are cleaned and deduplicated', () => {
+  expect(normalizeDomainLists(undefined)).toEqual({ allow: [], block: [] });
+  expect(normalizeDomainLists({ allow: 'https://www.arXiv.org/abs/1\narxiv.org, github.com', block: ['  '] }))
+    .toEqual({ allow: ['arxiv.org', 'github.com'], block: [] });
+});
+
+test('tweet domains include body links and the link card', () => {
+  const tweet = { urls: ['https://news.example.com/a', 'not a url'], card: { domain: 'Arxiv.org', title: 'Paper' } };
+  expect(tweetDomains(tweet)).toEqual(['news.example.com', 'not a url', 'arxiv.org']);
+  expect(tweetDomains({})).toEqual([]);
+});
+
+test('allow list wins and subdomains are covered', () => {
+  const lists = normalizeDomainLists({ allow: ['arxiv.org'], block: ['example.com'] });
+  expect(matchDomainLists(lists, { urls: ['https://news.example.com/x'] })).toEqual({ list: 'block', domain: 'example.com' });
+  expect(matchDomainLists(lists, { urls: ['https://news.example.com/x'], card: { domain: 'arxiv.org' } }))
+    .toEqual({ list: 'allow', domain: 'arxiv.org' });
+  expect(matchDomainLists(lists, { urls: ['https://notexample.com'] })).toBeNull();
+});
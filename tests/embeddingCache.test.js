@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Tests for the IndexedDB embedding cache (scripts/embeddingCache.js).
+ * Runs under node: fake-indexeddb needs structuredClone, which jsdom lacks.
+ */
+import 'fake-indexeddb/auto';
+import { setCacheModel, getCachedEmbedding, putCachedEmbedding } from '../scripts/embeddingCache.js';
+
+const vector = (x) => new Float32Array([x, 0, 0]);
+const testModel = () => `model-${expect.getState().currentTestName}`;
+const put = (id, text, emb) => putCachedEmbedding(id, text, emb, testModel());
+let now = 1000;
+
+beforeEach(async () => {
+  jest.spyOn(Date, 'now').mockImplementation(() => now++);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // A model switch clears the cache, so every test starts empty
+  await setCacheModel(testModel(), { maxEntries: 3 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('embeddings are found by tweet id and exact text', async () => {
+  await put('tweet-1', 'GPUs are getting cheaper', vector(1));
+
+  expect(Array.from(await getCachedEmbedding('tweet-1', 'GPUs are getting cheaper'))).toEqual([1, 0, 0]);
+  expect(await getCachedEmbedding('tweet-1', 'GPUs are getting cheaper (edited)')).toBeNull();
+  expect(await getCachedEmbedding('tweet-2', 'GPUs are getting cheaper')).toBeNull();
+});
+
+test('the least recently used entry is evicted past the cap, and a hit counts as a use', async () => {
+  await put('tweet-1', 'one', vector(1));
+  await put('tweet-2', 'two', vector(2));
+  await put('tweet-3', 'three', vector(3));
+
+  // Reading tweet-1 makes tweet-2 the oldest
+  await getCachedEmbedding('tweet-1', 'one');
+  await put('tweet-4', 'four', vector(4));
+
+  expect(await getCachedEmbedding('tweet-2', 'two')).toBeNull();
+  for (const [id, text] of [['tweet-1', 'one'], ['tweet-3', 'three'], ['tweet-4', 'four']]) {
+    expect(await getCachedEmbedding(id, text)).not.toBeNull();
+  }
+});
+
+test('switching the embedding model clears the cache', async () => {
+  await put('tweet-1', 'one', vector(1));
+
+  await setCacheModel('another-model');
+  expect(await getCachedEmbedding('tweet-1', 'one')).toBeNull();
+});
+
+test('an embedding from the previous model is not stored after a switch', async () => {
+  const previous = testModel();
+  await setCacheModel('another-model');
+
+  // Embedded before the switch, written after it
+  await putCachedEmbedding('tweet-1', 'one', vector(1), previous);
+  expect(await getCachedEmbedding('tweet-1', 'one')).toBeNull();
+
+  await putCachedEmbedding('tweet-1', 'one', vector(2), 'another-model');
+  expect(Array.from(await getCachedEmbedding('tweet-1', 'one'))).toEqual([2, 0, 0]);
+});
@@ -0,0 +1,32 @@
+/**
+ * Tests for per-tweet explanations (scripts/explain.js)
+ */
+import { buildExplanation } from '../scripts/explain.js';
+
+test('AI decisions list the closest interests and the threshold', () => {
+  const explanation = buildExplanation('hide', {
+    isUninteresting: true,
+    reason: 'rust sim=0.31 (threshold 0.35)',
+    source: 'ai',
+    threshold: 0.35,
+    interests: [
+      { label: 'rust', sim: 0.31234, threshold: 0.35 },
+      { label: 'gpus', sim: 0.2, threshold: 0.3 },
+      { label: 'cooking', sim: 0.1, threshold: 0.35 },
+      { label: 'chess', sim: 0.05, threshold: 0.35 }
+    ]
+  });
+  expect(explanation).toMatchObject({ decision: 'hide', source: 'ai', sourceLabel: 'Local AI', threshold: 0.35 });
+  expect(explanation.interests).toEqual([
+    { label: 'rust', sim: 0.312, passed: false },
+    { label: 'gpus', sim: 0.2, passed: false },
+    { label: 'cooking', sim: 0.1, passed: false }
+  ]);
+});
+
+test('rules, spam keywords and the fallback are reported', () => {
+  expect(buildExplanation('keep', { reason: 'Rule: friends', rule: { id: 'r1', name: 'friends' }, source: 'rule' }))
+    .toMatchObject({ sourceLabel: 'User rule', rule: 'friends', interests: [], threshold: null });
+  expect(buildExplanation('hide', { reason: 'Spam keyword: promo code', spamKeyword: 'promo code', source: 'fallback' }))
+    .toMatchObject({ sourceLabel: 'Keyword fallback', spamKeyword: 'promo code', toxicity: null });
+});
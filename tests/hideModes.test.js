@@ -0,0 +1,27 @@
+/**
+ * Tests for hide modes per decision category (scripts/hideModes.js)
+ */
+import { normalizeHideModes, decisionCategory, hideLabel, DEFAULT_HIDE_MODES } from '../scripts/hideModes.js';
+
+test('hide modes default to the local collapse and drop unknown modes', () => {
+  expect(normalizeHideModes(undefined)).toEqual(DEFAULT_HIDE_MODES);
+  expect(Object.values(DEFAULT_HIDE_MODES).every(mode => mode === 'collapse')).toBe(true);
+  expect(normalizeHideModes({ spam: 'native', offTopic: 'explode' })).toMatchObject({ spam: 'native', offTopic: 'collapse' });
+});
+
+test('decisions are categorized by why the tweet was hidden', () => {
+  expect(decisionCategory({ reason: 'Rule: noisy', rule: { id: 'r', name: 'noisy' } })).toBe('rule');
+  expect(decisionCategory({ reason: 'Domain blocklist: x.com', domain: { list: 'block', domain: 'x.com' } })).toBe('domain');
+  expect(decisionCategory({ reason: 'Spam', spamKeyword: 'giveaway' })).toBe('spam');
+  expect(decisionCategory({ reason: 'Engagement bait pattern' })).toBe('spam');
+  expect(decisionCategory({ reason: 'Category: politics (0.91)', category: 'politics' })).toBe('filter');
+  expect(decisionCategory({ reason: 'Toxicity 0.95 > ceiling 0.80' })).toBe('filter');
+  expect(decisionCategory({ reason: 'avoid=crypto sim=0.52' })).toBe('avoided');
+  expect(decisionCategory({ reason: 'rust sim=0.12 (threshold 0.35) [comment hide 0.12 / quoted hide 0.10]' })).toBe('offTopic');
+});
+
+test('placeholder labels name the cause', () => {
+  expect(hideLabel({ reason: 'rust sim=0.12' })).toBe('off-topic');
+  expect(hideLabel({ reason: 'Rule: noisy', rule: { name: 'noisy' } })).toBe('rule "noisy"');
+  expect(hideLabel({ reason: 'Category: politics (0.91)', category: 'politics' })).toBe('politics');
+});
@@ -0,0 +1,36 @@
+/**
+ * Tests for interest normalization (scripts/interests.js)
+ */
+import { normalizeInterests, interestPhrases, DEFAULT_THRESHOLD, DEFAULT_WEIGHT, MAX_EXAMPLES } from '../scripts/interests.js';
+
+test('legacy string interests are upgraded to objects', () => {
+  expect(normalizeInterests(['AI', ' music '])).toEqual([
+    { label: 'ai', threshold: DEFAULT_THRESHOLD, weight: DEFAULT_WEIGHT, examples: [] },
+    { label: 'music', threshold: DEFAULT_THRESHOLD, weight: DEFAULT_WEIGHT, examples: [] }
+  ]);
+});
+
+test('per-interest threshold and weight are kept and clamped', () => {
+  const [interest] = normalizeInterests([{ label: 'ai', threshold: 0.5, weight: 1.5 }]);
+  expect(interest).toEqual({ label: 'ai', threshold: 0.5, weight: 1.5, examples: [] });
+
+  const [clamped] = normalizeInterests([{ label: 'music', threshold: 3, weight: 'x' }]);
+  expect(clamped.threshold).toBe(1);
+  expect(clamped.weight).toBe(DEFAULT_WEIGHT);
+});
+
+test('invalid and duplicate entries are dropped', () => {
+  expect(normalizeInterests(null)).toEqual([]);
+  expect(normalizeInterests(['', { label: '' }, 42, 'ai', { label: 'AI' }])).toHaveLength(1);
+});
+
+test('example phrases are trimmed, deduplicated and capped', () => {
+  const [interest] = normalizeInterests([{
+    label: 'semiconductors',
+    examples: [' TSMC opens a new 2nm fab ', 'TSMC opens a new 2nm fab', 'Semiconductors', '', 7,
+      ...Array.from({ length: 20 }, (_, i) => `chip news ${i}`)]
+  }]);
+  expect(interest.examples[0]).toBe('TSMC opens a new 2nm fab');
+  expect(interest.examples).toHaveLength(MAX_EXAMPLES);
+  expect(interestPhrases(interest)[0]).toBe('semiconductors');
+});
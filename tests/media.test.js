@@ -0,0 +1,55 @@
+/**
+ * Tests for image scoring and blending (scripts/media.js)
+ */
+import {
+  createImageScorer, imageWeight, blendScores, bestImageMatch, normalizeMediaSettings, NEUTRAL_IMAGE_LABELS
+} from '../scripts/media.js';
+
+test('media settings default to image scoring off', () => {
+  expect(normalizeMediaSettings(undefined)).toEqual({ imageScoring: false, imageWeight: 0.5, ocr: false });
+  expect(normalizeMediaSettings({ imageScoring: 1, imageWeight: 3, ocr: 'yes' })).toEqual({ imageScoring: true, imageWeight: 1, ocr: true });
+});
+
+test('images count fully without text, partly for short text, not at all for long text', () => {
+  expect(imageWeight(0, 0.4)).toBe(1);
+  expect(imageWeight(40, 0.4)).toBe(0.4);
+  expect(imageWeight(200, 0.4)).toBe(0);
+});
+
+test('blend compares each side against its own bar', () => {
+  // Text just below its threshold, image clearly about the interest
+  expect(blendScores({ sim: 0.3, threshold: 0.35 }, 0.8, 0.5)).toBeGreaterThanOrEqual(1);
+  // Neither side convinced
+  expect(blendScores({ sim: 0.2, threshold: 0.35 }, 0.3, 0.5)).toBeLessThan(1);
+  expect(bestImageMatch({ gpus: 0.7, cooking: 0.1 })).toEqual({ label: 'gpus', prob: 0.7 });
+  expect(bestImageMatch({})).toBeNull();
+});
+
+test('image scores are cached per URL until the labels change', async () => {
+  const pipe = jest.fn(async (url, labels) => labels.map((label, i) => ({ label, score: i === 0 ? 0.6 : 0.4 / (labels.length - 1) })));
+  const scorer = createImageScorer(async () => pipe);
+  scorer.setLabels(['gpus', 'cooking']);
+
+  const scores = await scorer.scoreImages(['https://pbs.twimg.com/a.jpg', 'https://pbs.twimg.com/b.jpg']);
+  expect(Object.keys(scores)).toEqual(['gpus', 'cooking']); // neutral labels are not reported
+  expect(scores.gpus).toBe(0.6);
+  expect(pipe.mock.calls[0][1]).toEqual(['gpus', 'cooking', ...NEUTRAL_IMAGE_LABELS]);
+
+  await scorer.scoreImages(['https://pbs.twimg.com/a.jpg']);
+  expect(pipe).toHaveBeenCalledTimes(2);
+
+  scorer.setLabels(['gpus']);
+  await scorer.scoreImages(['https://pbs.twimg.com/a.jpg']);
+  expect(pipe).toHaveBeenCalledTimes(3);
+});
+
+test('sampled video frames (data: URLs) are scored but not cached', async () => {
+  const pipe = jest.fn(async (url, labels) => labels.map(label => ({ label, score: 0.1 })));
+  const scorer = createImageScorer(async () => pipe);
+  scorer.setLabels(['gpus']);
+
+  const frame = 'data:image/jpeg;base64,AAAA';
+  await scorer.scoreImages([frame]);
+  await scorer.scoreImages([frame]);
+  expect(pipe).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for auxiliary pipeline loading and its failure backoff (scripts/modelManager.js)
+ */
+const mockPipeline = jest.fn();
+jest.mock('/vendor/transformers.min.js', () => ({ env: {}, pipeline: (...args) => mockPipeline(...args) }), { virtual: true });
+
+global.chrome = {
+  runtime: { getURL: (path) => `/${path}`, sendMessage: jest.fn(() => Promise.resolve()) }
+};
+
+const { getAuxiliaryPipeline, loadedAuxiliaryPipeline } = require('../scripts/modelManager.js');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  mockPipeline.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('a failed auxiliary load is not retried until its backoff has passed', async () => {
+  let now = 1_000_000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  mockPipeline.mockRejectedValueOnce(new Error('offline'));
+
+  await expect(getAuxiliaryPipeline('toxicity')).rejects.toThrow('offline');
+  await expect(getAuxiliaryPipeline('toxicity')).rejects.toThrow(/next attempt in 60s/);
+  expect(mockPipeline).toHaveBeenCalledTimes(1);
+
+  mockPipeline.mockRejectedValueOnce(new Error('still offline'));
+  now += 60 * 1000;
+  await expect(getAuxiliaryPipeline('toxicity')).rejects.toThrow('still offline');
+  // The wait doubles after each failure
+  now += 60 * 1000;
+  await expect(getAuxiliaryPipeline('toxicity')).rejects.toThrow(/next attempt in 60s/);
+
+  const model = jest.fn();
+  mockPipeline.mockResolvedValueOnce(model);
+  now += 60 * 1000;
+  await expect(getAuxiliaryPipeline('toxicity')).resolves.toBe(model);
+  expect(mockPipeline).toHaveBeenCalledTimes(3);
+});
+
+test('loadedAuxiliaryPipeline never waits: null until the model has loaded', async () => {
+  const model = jest.fn();
+  let finishLoad;
+  mockPipeline.mockImplementationOnce(() => new Promise(resolve => { finishLoad = resolve; }));
+
+  expect(loadedAuxiliaryPipeline('zeroShot')).toBeNull();
+  await flush();
+  expect(loadedAuxiliaryPipeline('zeroShot')).toBeNull();
+  expect(mockPipeline).toHaveBeenCalledTimes(1); // one download, however many tweets ask
+
+  finishLoad(model);
+  await flush();
+  expect(loadedAuxiliaryPipeline('zeroShot')).toBe(model);
+});
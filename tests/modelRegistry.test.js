@@ -0,0 +1,39 @@
+/**
+ * Tests for the embedding model registry (scripts/modelRegistry.js)
+ */
+import {
+  MODEL_REGISTRY, DEFAULT_MODEL_ID, MULTILINGUAL_MODEL_ID, MODEL_VARIANTS,
+  getModelSpec, normalizeModelSelection, resolveModelSelection, modelKey
+} from '../scripts/modelRegistry.js';
+
+test('every registry entry is loadable and has a usable threshold', () => {
+  for (const spec of Object.values(MODEL_REGISTRY)) {
+    expect(spec.repo).toMatch(/^[\w-]+\/[\w.-]+$/);
+    expect(['mean', 'cls']).toContain(spec.pooling);
+    expect(spec.dims).toBeGreaterThan(0);
+    expect(spec.recommendedThreshold).toBeGreaterThan(0);
+    expect(spec.recommendedThreshold).toBeLessThan(1);
+    for (const variant of MODEL_VARIANTS) {
+      expect(spec.sizeMB[variant]).toBeGreaterThan(0);
+    }
+  }
+});
+
+test('unknown selections fall back to the default model', () => {
+  expect(normalizeModelSelection()).toEqual({ id: DEFAULT_MODEL_ID, variant: 'quantized' });
+  expect(normalizeModelSelection({ id: 'nope', variant: 'int4' })).toEqual({ id: DEFAULT_MODEL_ID, variant: 'quantized' });
+  expect(getModelSpec('nope')).toBe(MODEL_REGISTRY[DEFAULT_MODEL_ID]);
+});
+
+test('model key separates models and variants', () => {
+  expect(modelKey({ id: 'minilm' })).toBe('Xenova/all-MiniLM-L6-v2@quantized');
+  expect(modelKey({ id: 'minilm', variant: 'fp32' })).not.toBe(modelKey({ id: 'minilm' }));
+  expect(modelKey({ id: 'bge-small' })).not.toBe(modelKey({ id: 'minilm' }));
+});
+
+test('multilingual mode swaps English-only models for the multilingual one', () => {
+  expect(MODEL_REGISTRY[MULTILINGUAL_MODEL_ID].multilingual).toBe(true);
+  expect(resolveModelSelection({ id: 'minilm', variant: 'fp32' }, true)).toEqual({ id: MULTILINGUAL_MODEL_ID, variant: 'fp32' });
+  expect(resolveModelSelection({ id: 'minilm' }, false)).toEqual({ id: 'minilm', variant: 'quantized' });
+  expect(resolveModelSelection({ id: MULTILINGUAL_MODEL_ID }, true).id).toBe(MULTILINGUAL_MODEL_ID);
+});
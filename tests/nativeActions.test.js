@@ -0,0 +1,28 @@
+/**
+ * Tests for the session record of native X actions (scripts/nativeActions.js)
+ */
+import { recordNativeAction, findUndoable, markUndone, MAX_NATIVE_ACTIONS } from '../scripts/nativeActions.js';
+
+test('actions keep id, time, menu item and tab, capped to the newest', () => {
+  const list = recordNativeAction(undefined, { id: 't1', ts: 5, menuItem: 'Not interested in this post', text: 'hi', tabId: 3 });
+  expect(list).toEqual([{ id: 't1', ts: 5, menuItem: 'Not interested in this post', text: 'hi', tabId: 3, undone: null }]);
+
+  let long = [];
+  for (let i = 0; i < MAX_NATIVE_ACTIONS + 5; i++) long = recordNativeAction(long, { id: `t${i}`, ts: i });
+  expect(long).toHaveLength(MAX_NATIVE_ACTIONS);
+  expect(long[0].id).toBe('t5');
+  expect(long[0].tabId).toBeNull();
+});
+
+test('undo marks only the latest open action on the tweet', () => {
+  let list = recordNativeAction([], { id: 't1', ts: 1 });
+  list = recordNativeAction(list, { id: 't2', ts: 2 });
+  list = recordNativeAction(list, { id: 't1', ts: 3 });
+  list = markUndone(list, 't1', 'native', 10);
+  expect(list.map(a => a.undone)).toEqual([null, null, 'native']);
+  expect(list[2].undoneAt).toBe(10);
+  expect(findUndoable(list, 't1').ts).toBe(1);
+  list = markUndone(list, 't1', 'visual');
+  expect(findUndoable(list, 't1')).toBeNull();
+  expect(markUndone(list, 'nope', 'native')).toEqual(list);
+});
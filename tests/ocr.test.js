@@ -0,0 +1,82 @@
+/**
+ * Tests for photo OCR (scripts/ocr.js)
+ */
+import { findTextLines, createOcrReader, OCR_MAX_BYTES, OCR_BUDGET_MS } from '../scripts/ocr.js';
+
+// A width x height image of `background` with ink rows drawn in `ink`
+const makeImage = (width, height, background, ink, inkRows) => {
+  const gray = new Uint8ClampedArray(width * height).fill(background);
+  for (const [top, bottom] of inkRows) {
+    for (let y = top; y < bottom; y++) {
+      for (let x = 10; x < width - 10; x += 2) gray[y * width + x] = ink;
+    }
+  }
+  return gray;
+};
+
+test('finds text lines on a light background', () => {
+  const gray = makeImage(100, 60, 255, 20, [[5, 15], [25, 35]]);
+  expect(findTextLines(gray, 100, 60)).toEqual([{ top: 2, bottom: 18 }, { top: 22, bottom: 38 }]);
+});
+
+test('finds text lines on a dark background and ignores specks', () => {
+  const gray = makeImage(100, 60, 21, 230, [[10, 20], [40, 42]]);
+  expect(findTextLines(gray, 100, 60)).toEqual([{ top: 7, bottom: 23 }]);
+  expect(findTextLines(new Uint8ClampedArray(100 * 60).fill(255), 100, 60)).toEqual([]);
+});
+
+test('oversized photos are skipped and results are cached per URL', async () => {
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(async () => ({ blob: async () => ({ size: OCR_MAX_BYTES + 1 }) }));
+  const loadPipeline = jest.fn();
+  try {
+    const reader = createOcrReader(loadPipeline);
+    expect(await reader.readImages(['https://pbs.twimg.com/media/a.jpg'])).toBe('');
+    expect(await reader.readImages(['https://pbs.twimg.com/media/a.jpg'])).toBe('');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(loadPipeline).not.toHaveBeenCalled();
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('reading stops once the per-tweet time budget is spent, and a cut-short reading is not cached', async () => {
+  const globals = ['fetch', 'createImageBitmap', 'OffscreenCanvas'].map(name => [name, global[name]]);
+  const { createObjectURL, revokeObjectURL } = URL;
+  // A 100x200 screenshot with ten text lines
+  const gray = makeImage(100, 200, 255, 20, Array.from({ length: 10 }, (_, i) => [i * 20 + 5, i * 20 + 15]));
+  const data = new Uint8ClampedArray(gray.length * 4);
+  gray.forEach((g, i) => data.fill(g, i * 4, i * 4 + 3));
+  global.fetch = jest.fn(async () => ({ blob: async () => ({ size: 1000 }) }));
+  global.createImageBitmap = async () => ({ width: 100, height: 200, close() {} });
+  global.OffscreenCanvas = class {
+    getContext() { return { drawImage() {}, getImageData: () => ({ data, width: 100, height: 200 }) }; }
+    async convertToBlob() { return {}; }
+  };
+  URL.createObjectURL = () => 'blob:line';
+  URL.revokeObjectURL = () => {};
+
+  // Every line takes the model 400ms
+  let now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  const pipe = jest.fn(async () => {
+    now += 400;
+    return [{ generated_text: `line ${pipe.mock.calls.length}` }];
+  });
+  try {
+    const reader = createOcrReader(async () => pipe);
+    const urls = ['https://pbs.twimg.com/media/a.jpg', 'https://pbs.twimg.com/media/b.jpg'];
+    expect(await reader.readImages(urls)).toBe('line 1\nline 2\nline 3\nline 4');
+    expect(pipe).toHaveBeenCalledTimes(Math.ceil(OCR_BUDGET_MS / 400));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    // With time to spare the photo is read in full
+    await reader.readImages(urls.slice(0, 1), { budgetMs: 10000 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(pipe).toHaveBeenCalledTimes(14);
+  } finally {
+    for (const [name, value] of globals) global[name] = value;
+    Object.assign(URL, { createObjectURL, revokeObjectURL });
+    jest.restoreAllMocks();
+  }
+});
@@ -1,18 +1,15 @@
 /**
- * Basic test to ensure the architecture works
+ * Tests for the offscreen decision logic (scripts/decision.js)
  */
+import { cosine, decide, nearestNeighbourVote, matchAll, bestMatch } from '../scripts/decision.js';
+
+// Unit vectors along the first axes stand in for embeddings
+const axis = (...weights) => new Float32Array([...weights, 0, 0, 0, 0].slice(0, 4));
+const entry = (t, emb, threshold = 0.35, weight = 1) => ({ t, threshold, weight, phrases: [{ phrase: t, emb }] });
+const embeddings = ({ interests = [], avoided = [], labeled = [] } = {}) => ({ interests, avoided, labeled, threshold: 0.35 });
 
 // Simple test for the cosine similarity function
 test('cosine similarity calculation', () => {
-  // Simple cosine function (copied from offscreen.js logic)
-  const cosine = (a, b) => {
-    let dot = 0, na = 0, nb = 0;
-    for (let i = 0; i < a.length; ++i) {
-      dot += a[i] * b[i]; na += a[i] ** 2; nb += b[i] ** 2;
-    }
-    return dot / (Math.sqrt(na) * Math.sqrt(nb));
-  };
-
   const vec1 = new Float32Array([1, 0, 0, 0]);
   const vec2 = new Float32Array([1, 0, 0, 0]);
   const vec3 = new Float32Array([0, 1, 0, 0]);
@@ -24,7 +21,7 @@ test('cosine similarity calculation', () => {
 // Test spam detection logic
 test('spam detection works correctly', () => {
   const spamKeywords = ['sponsored', 'promoted', 'buy now'];
-  
+
   const isSpam = (text, keywords) => {
     const lower = text.toLowerCase();
     return keywords.some(k => lower.includes(k));
@@ -37,15 +34,85 @@ test('spam detection works correctly', () => {
 
 // Test basic classification logic
 test('classification threshold logic', () => {
-  const classify = (similarity, threshold = 0.35) => {
-    return {
-      isUninteresting: similarity < threshold,
-      reason: `sim=${similarity.toFixed(2)}`
-    };
-  };
+  const interests = [entry('gpus', axis(1, 0))];
+
+  expect(decide(axis(1, 0.5), embeddings({ interests })).isUninteresting).toBe(false); // sim 0.89
+  expect(decide(axis(0.3, 1), embeddings({ interests })).isUninteresting).toBe(true);  // sim 0.29
+  expect(decide(axis(1, 0), embeddings({ interests }))).toMatchObject({
+    reason: 'gpus sim=1.00 (threshold 0.35)',
+    threshold: 0.35,
+    interests: [{ label: 'gpus', sim: 1, threshold: 0.35 }]
+  });
+});
+
+// Test avoided-topic precedence
+test('avoided topics win when closer than any interest', () => {
+  const interests = [entry('ai', axis(1, 0))];
+  const avoided = [entry('crypto', axis(0, 1))];
+
+  // Clears the interest threshold but is closer to the avoided topic
+  expect(decide(axis(0.6, 0.8), embeddings({ interests, avoided }))).toMatchObject({
+    isUninteresting: true,
+    reason: 'avoid=crypto sim=0.80'
+  });
+  expect(decide(axis(0.8, 0.6), embeddings({ interests, avoided })).isUninteresting).toBe(false);
+  // Only avoided topics configured: the avoided topic must clear the threshold
+  expect(decide(axis(0.8, 0.6), embeddings({ avoided })).isUninteresting).toBe(true);
+  expect(decide(axis(1, 0.2), embeddings({ avoided }))).toMatchObject({ isUninteresting: false, reason: 'No interests' });
+});
+
+test('the avoided topic is measured against the closest interest, passed or not', () => {
+  const interests = [entry('gpus', axis(1, 0), 0.99), entry('games', axis(0, 1), 0.25)];
+  const avoided = [entry('crypto', axis(0, 0, 1))];
+  // gpus sim 0.85 (below its threshold), games 0.30 (passes), crypto 0.40
+  const tweet = axis(0.85, 0.3, 0.4, 0.166);
+
+  expect(decide(tweet, embeddings({ interests, avoided }))).toMatchObject({
+    isUninteresting: false,
+    reason: 'games sim=0.30 (threshold 0.25)'
+  });
+  // Likewise a strict avoided topic counts when it is the closest one
+  const strictAvoided = [...avoided, entry('scams', axis(0, 0, 0, 1), 0.99, 6)];
+  expect(decide(tweet, embeddings({ interests, avoided: strictAvoided })).reason).toBe('avoid=scams sim=0.17');
+});
+
+// Test nearest-neighbour vote over labeled corrections
+test('nearest-neighbour vote follows the closest corrections', () => {
+  const labeled = [
+    { id: 'a', label: 'hide', emb: axis(1, 0) },
+    { id: 'b', label: 'keep', emb: axis(1, 1) }
+  ];
+
+  expect(nearestNeighbourVote(axis(1, 0.1), labeled)).toMatchObject({ label: 'hide', count: 2 });
+  expect(nearestNeighbourVote(axis(1, 1.2), labeled)).toMatchObject({ label: 'keep', count: 2 });
+  expect(nearestNeighbourVote(axis(0, 0, 1), labeled)).toBeNull(); // too far away to count
+});
+
+test('corrections take precedence over topic similarity', () => {
+  const interests = [entry('ai', axis(1, 0))];
+  const labeled = [{ id: 'a', label: 'hide', emb: axis(1, 0.1) }];
+
+  const result = decide(axis(1, 0), embeddings({ interests, labeled }));
+  expect(result.isUninteresting).toBe(true);
+  expect(result.reason).toMatch(/^knn=hide /);
+});
+
+test('entries that clear their own threshold outrank higher weighted ones that do not', () => {
+  const matches = matchAll(axis(1, 0.3), [
+    entry('strict', axis(1, 0), 0.99, 3),
+    entry('loose', axis(1, 1), 0.5)
+  ]);
+
+  expect(bestMatch(matches).t).toBe('loose');
+  expect(bestMatch([])).toBeNull();
+});
+
+test('image scores blend into the interest decision', () => {
+  const interests = [entry('music', axis(1, 0), 0.7)];
+  // Text just below the threshold (sim 0.63), image clearly about the interest
+  expect(decide(axis(0.45, 0.55), embeddings({ interests })).isUninteresting).toBe(true);
+  const result = decide(axis(0.45, 0.55), embeddings({ interests }), { scores: { music: 0.9 }, weight: 0.5 });
 
-  expect(classify(0.8).isUninteresting).toBe(false);
-  expect(classify(0.2).isUninteresting).toBe(true);
-  expect(classify(0.35).isUninteresting).toBe(false);
-  expect(classify(0.34).isUninteresting).toBe(true);
-});
\ No newline at end of file
+  expect(result.isUninteresting).toBe(false);
+  expect(result.image).toEqual({ label: 'music', score: 0.9, weight: 0.5 });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for the offscreen readiness state machine and queued CLASSIFY requests
+ * (scripts/offscreen.js), with the model and the embedding cache mocked
+ */
+jest.mock('../scripts/modelManager.js', () => ({
+  getEmbeddingPipeline: jest.fn(),
+  releaseEmbeddingPipeline: jest.fn(() => Promise.resolve()),
+  getAuxiliaryPipeline: jest.fn(() => Promise.reject(new Error('not in tests'))),
+  loadedAuxiliaryPipeline: jest.fn(() => null)
+}));
+jest.mock('../scripts/embeddingCache.js', () => ({
+  setCacheModel: jest.fn(() => Promise.resolve()),
+  getCachedEmbedding: jest.fn(() => Promise.resolve(null)),
+  putCachedEmbedding: jest.fn(() => Promise.resolve())
+}));
+
+// Texts about GPUs point one way, everything else the other
+const fakePipeline = async (texts) => ({
+  dims: [texts.length, 2],
+  data: new Float32Array(texts.flatMap(t => (/gpu/i.test(t) ? [1, 0] : [0, 1])))
+});
+
+let listener;
+let chrome;
+let modelManager;
+let embeddingCache;
+
+// A fresh offscreen document per test
+const loadOffscreen = (loadPipeline = () => Promise.resolve(fakePipeline)) => {
+  chrome = {
+    runtime: {
+      sendMessage: jest.fn(() => Promise.resolve()),
+      onMessage: { addListener: (fn) => { listener = fn; } },
+      getURL: (path) => `/${path}`
+    }
+  };
+  global.chrome = chrome;
+  jest.isolateModules(() => {
+    modelManager = require('../scripts/modelManager.js');
+    modelManager.getEmbeddingPipeline.mockImplementation(loadPipeline);
+    embeddingCache = require('../scripts/embeddingCache.js');
+    require('../scripts/offscreen.js');
+  });
+};
+
+const send = (msg) => {
+  const sendResponse = jest.fn();
+  listener(msg, {}, sendResponse);
+  return sendResponse;
+};
+
+const states = () => chrome.runtime.sendMessage.mock.calls
+  .filter(([m]) => m.type === 'OFFSCREEN_STATE')
+  .map(([m]) => m.payload.state);
+
+const setInterests = () => send({
+  type: 'SET_INTERESTS',
+  interests: [{ label: 'gpus', threshold: 0.5, weight: 1 }],
+  avoidedTopics: [],
+  spamKeywords: ['giveaway'],
+  threshold: 0.35
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('a CLASSIFY sent before the interests waits for them, then leaves no timer behind', async () => {
+  loadOffscreen();
+
+  const response = send({ type: 'CLASSIFY', id: 'tweet-1', text: 'The new GPU benchmarks are out' });
+  await jest.advanceTimersByTimeAsync(100);
+  expect(states()).toEqual(['loading', 'embedding']);
+  expect(response).not.toHaveBeenCalled();
+
+  setInterests();
+  await jest.advanceTimersByTimeAsync(100);
+
+  expect(states()).toEqual(['loading', 'embedding', 'ready']);
+  expect(response).toHaveBeenCalledWith(expect.objectContaining({ id: 'tweet-1', isUninteresting: false }));
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('queued requests fail with the load error when the model cannot load', async () => {
+  loadOffscreen(() => Promise.reject(new Error('offline')));
+  setInterests();
+
+  const response = send({ type: 'CLASSIFY', id: 'tweet-1', text: 'The new GPU benchmarks are out' });
+  await jest.advanceTimersByTimeAsync(100);
+
+  expect(states()).toEqual(['loading', 'error']);
+  expect(response).toHaveBeenCalledWith({ id: 'tweet-1', error: 'offline' });
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('a queued request gives up once the interests never arrive', async () => {
+  loadOffscreen();
+
+  const response = send({ type: 'CLASSIFY', id: 'tweet-1', text: 'The new GPU benchmarks are out' });
+  await jest.advanceTimersByTimeAsync(30000);
+
+  expect(response).toHaveBeenCalledWith({ id: 'tweet-1', error: 'Offscreen not ready (state: embedding)' });
+
+  // A later SET_INTERESTS still makes the document ready for the next tweets
+  setInterests();
+  await jest.advanceTimersByTimeAsync(100);
+  const next = send({ type: 'CLASSIFY', id: 'tweet-2', text: 'A giveaway for everyone' });
+  await jest.advanceTimersByTimeAsync(100);
+  expect(next).toHaveBeenCalledWith(expect.objectContaining({ id: 'tweet-2', isUninteresting: true, spamKeyword: 'giveaway' }));
+});
+
+test('CLASSIFY requests during a model switch wait for the new model and its interest embeddings', async () => {
+  loadOffscreen();
+  setInterests();
+  send({ type: 'PRELOAD_MODEL' });
+  await jest.advanceTimersByTimeAsync(100);
+  expect(states()).toEqual(['loading', 'embedding', 'ready']);
+
+  // One tweet is still being looked up in the cache when the switch starts
+  let finishLookup;
+  embeddingCache.getCachedEmbedding.mockImplementationOnce(() => new Promise(resolve => { finishLookup = resolve; }));
+  const inFlight = send({ type: 'CLASSIFY', id: 'tweet-0', text: 'GPU prices keep falling' });
+  await jest.advanceTimersByTimeAsync(0);
+
+  // The new model reads every text the other way round
+  let finishLoad;
+  const switchedPipeline = async (texts) => {
+    const { dims, data } = await fakePipeline(texts);
+    return { dims, data: data.map(x => 1 - x) };
+  };
+  modelManager.getEmbeddingPipeline.mockImplementation(() => new Promise(resolve => { finishLoad = resolve; }));
+  send({ type: 'SET_MODEL', model: { id: 'multilingual-e5-small' } });
+  const response = send({ type: 'CLASSIFY', id: 'tweet-1', text: 'The new GPU benchmarks are out' });
+  await jest.advanceTimersByTimeAsync(100);
+
+  expect(states()).toEqual(['loading', 'embedding', 'ready', 'loading']);
+  expect(modelManager.releaseEmbeddingPipeline).toHaveBeenCalled();
+  expect(response).not.toHaveBeenCalled();
+
+  finishLookup(null);
+  await jest.advanceTimersByTimeAsync(100);
+  expect(inFlight).not.toHaveBeenCalled();
+
+  finishLoad(switchedPipeline);
+  await jest.advanceTimersByTimeAsync(100);
+
+  expect(states()).toEqual(['loading', 'embedding', 'ready', 'loading', 'embedding', 'ready']);
+  expect(inFlight).toHaveBeenCalledWith(expect.objectContaining({ id: 'tweet-0', isUninteresting: false }));
+  expect(response).toHaveBeenCalledWith(expect.objectContaining({ id: 'tweet-1', isUninteresting: false }));
+  expect(jest.getTimerCount()).toBe(0);
+});
+
+test('a PRELOAD_MODEL whose model switch fails reports the error', async () => {
+  loadOffscreen();
+  modelManager.releaseEmbeddingPipeline.mockImplementationOnce(() => Promise.reject(new Error('release failed')));
+
+  const response = send({ type: 'PRELOAD_MODEL', model: { id: 'multilingual-e5-small' } });
+  await jest.advanceTimersByTimeAsync(100);
+
+  expect(response).toHaveBeenCalledWith({ success: false, error: 'release failed' });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for the rules editor on the options page (options/options.js),
+ * driven through the page's own markup with chrome.storage mocked
+ */
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+const HTML = readFileSync(join(__dirname, '../options/options.html'), 'utf8');
+
+const storedRules = [
+  { id: 'rule-a', name: 'Authors', action: 'hide', match: { authors: ['alice'] } },
+  { id: 'rule-b', name: 'Hashtags', action: 'keep', match: { hashtags: ['rust'] } }
+];
+
+const loadOptionsPage = () => {
+  document.documentElement.innerHTML = HTML.replace(/<script[^>]*><\/script>/g, '');
+  global.chrome = {
+    runtime: { lastError: null },
+    storage: {
+      local: {
+        get: jest.fn(() => Promise.resolve({ rules: storedRules, domainLists: {} })),
+        set: jest.fn((items, callback) => callback())
+      }
+    }
+  };
+  jest.isolateModules(() => require('../options/options.js'));
+  document.dispatchEvent(new Event('DOMContentLoaded'));
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+const ruleNodes = () => [...document.querySelectorAll('#rules-list .rule')];
+
+const edit = (input, value) => {
+  input.value = value;
+  input.dispatchEvent(new Event('change'));
+};
+
+beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+test('edited list fields survive moving a rule and are saved as lists', async () => {
+  loadOptionsPage();
+  await flush();
+
+  const [first] = ruleNodes();
+  edit(first.querySelector('.match-authors'), '@Bob, @carol');
+  edit(first.querySelector('.match-hashtags'), '#AI');
+  edit(first.querySelector('.match-domains'), 'https://www.example.com/news');
+  first.querySelector('.rule-down').click();
+
+  const [, moved] = ruleNodes();
+  expect(moved.querySelector('.rule-name').value).toBe('Authors');
+  expect(moved.querySelector('.match-authors').value).toBe('@bob, @carol');
+  expect(moved.querySelector('.match-hashtags').value).toBe('#ai');
+
+  document.getElementById('add-rule').click();
+  expect(ruleNodes()).toHaveLength(3);
+
+  document.getElementById('save-rules').click();
+  const [[{ rules }]] = chrome.storage.local.set.mock.calls;
+  expect(rules.map(r => r.id).slice(0, 2)).toEqual(['rule-b', 'rule-a']);
+  expect(rules[1].match).toMatchObject({ authors: ['bob', 'carol'], hashtags: ['ai'], domains: ['example.com'] });
+});
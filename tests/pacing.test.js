@@ -0,0 +1,25 @@
+/**
+ * Tests for the native action budget (scripts/pacing.js)
+ */
+import { normalizeNativeBudget, pruneActionTimes, budgetUsage, hasNativeBudget, HOUR_MS, DAY_MS, DEFAULT_NATIVE_BUDGET } from '../scripts/pacing.js';
+
+test('budget falls back to defaults for invalid limits', () => {
+  expect(normalizeNativeBudget(undefined)).toEqual(DEFAULT_NATIVE_BUDGET);
+  expect(normalizeNativeBudget({ perHour: '4.7', perDay: -1 })).toEqual({ perHour: 4, perDay: DEFAULT_NATIVE_BUDGET.perDay });
+  expect(normalizeNativeBudget({ perHour: 0, perDay: 0 })).toEqual({ perHour: 0, perDay: 0 });
+});
+
+test('usage counts the last hour and the last day', () => {
+  const now = 10 * DAY_MS;
+  const times = [now - DAY_MS - 1, now - 2 * HOUR_MS, now - HOUR_MS + 1, now - 1000];
+  expect(pruneActionTimes(times, now)).toHaveLength(3);
+  expect(budgetUsage(times, now)).toEqual({ hour: 2, day: 3 });
+});
+
+test('either limit exhausts the budget', () => {
+  const now = 10 * DAY_MS;
+  const times = [now - 3 * HOUR_MS, now - 2 * HOUR_MS, now - 1000];
+  expect(hasNativeBudget(times, { perHour: 2, perDay: 5 }, now)).toBe(true);
+  expect(hasNativeBudget(times, { perHour: 1, perDay: 5 }, now)).toBe(false);
+  expect(hasNativeBudget(times, { perHour: 5, perDay: 3 }, now)).toBe(false);
+});
@@ -0,0 +1,41 @@
+/**
+ * Tests for quote tweet combination (scripts/quotes.js)
+ */
+import { combineQuoteResults, normalizeQuoteMode } from '../scripts/quotes.js';
+
+const kept = (score) => ({ isUninteresting: false, reason: `ai sim=${score}`, score });
+const hidden = (score) => ({ isUninteresting: true, reason: `ai sim=${score}`, score });
+
+test('"either" keeps the tweet when only the quoted tweet matches', () => {
+  const result = combineQuoteResults(hidden(0.1), kept(0.6), 'either');
+  expect(result.isUninteresting).toBe(false);
+  expect(result.quote).toEqual({
+    mode: 'either',
+    comment: { decision: 'hide', score: 0.1, reason: 'ai sim=0.1' },
+    quoted: { decision: 'keep', score: 0.6, reason: 'ai sim=0.6' }
+  });
+  expect(result.reason).toBe('ai sim=0.6 [comment hide 0.10 / quoted keep 0.60]');
+});
+
+test('"comment" requires the comment to match', () => {
+  expect(combineQuoteResults(hidden(0.1), kept(0.6), 'comment').isUninteresting).toBe(true);
+  expect(combineQuoteResults(kept(0.5), hidden(0.1), 'comment').isUninteresting).toBe(false);
+});
+
+test('filters on either part win, and a missing comment defers to the quote', () => {
+  const toxic = { isUninteresting: false, action: 'blur', reason: 'Toxicity 0.95 > ceiling 0.80' };
+  expect(combineQuoteResults(kept(0.7), toxic, 'either').action).toBe('blur');
+  expect(combineQuoteResults(null, hidden(0.2), 'either')).toMatchObject({ isUninteresting: true, quote: { comment: null } });
+});
+
+test('unknown quote modes fall back to "either"', () => {
+  expect(normalizeQuoteMode('sometimes')).toBe('either');
+  expect(normalizeQuoteMode('comment')).toBe('comment');
+});
+
+test('spam on either part hides the tweet, whichever classifier found it', () => {
+  const fallbackSpam = { isUninteresting: true, reason: 'Spam keyword: giveaway', spamKeyword: 'giveaway' };
+  const offscreenSpam = { isUninteresting: true, reason: 'Spam', spamKeyword: 'sponsored' };
+  expect(combineQuoteResults(kept(0.7), fallbackSpam, 'either').isUninteresting).toBe(true);
+  expect(combineQuoteResults(offscreenSpam, kept(0.7), 'either').isUninteresting).toBe(true);
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the user rule engine (scripts/rules.js)
+ */
+import { normalizeRules, evaluateRules, isValidRegex } from '../scripts/rules.js';
+
+const tweet = (overrides = {}) => ({
+  text: 'Shipping a new Rust release today',
+  handle: '@alice',
+  hashtags: [],
+  urls: [],
+  hasMedia: false,
+  isReply: false,
+  isRepost: false,
+  isQuote: false,
+  ...overrides
+});
+
+test('conditions are cleaned when rules are normalized', () => {
+  const [rule] = normalizeRules([{
+    name: ' Keep Alice ',
+    action: 'keep',
+    match: { authors: '@Alice, bob', hashtags: ['#AI'], domains: 'https://www.Example.com/path', minHashtags: '0' }
+  }]);
+  expect(rule.name).toBe('Keep Alice');
+  expect(rule.enabled).toBe(true);
+  expect(rule.match).toMatchObject({ authors: ['alice', 'bob'], hashtags: ['ai'], domains: ['example.com'], minHashtags: null });
+  expect(normalizeRules([{ action: 'explode' }])[0].action).toBe('hide');
+});
+
+test('the first matching enabled rule wins', () => {
+  const rules = normalizeRules([
+    { name: 'off', enabled: false, action: 'hide', match: { authors: ['alice'] } },
+    { name: 'hide alice reposts', action: 'hide', match: { authors: ['alice'], kind: 'repost' } },
+    { name: 'keep alice', action: 'keep', match: { authors: ['alice'] } }
+  ]);
+  expect(evaluateRules(rules, tweet()).name).toBe('keep alice');
+  expect(evaluateRules(rules, tweet({ isRepost: true })).name).toBe('hide alice reposts');
+  expect(evaluateRules(rules, tweet({ handle: '@carol' }))).toBeNull();
+});
+
+test('hashtag count, regex, media and domain conditions', () => {
+  const rules = normalizeRules([
+    { name: 'hashtag spam', action: 'hide', match: { minHashtags: 6 } },
+    { name: 'rust', action: 'keep', match: { textRegex: '\\brust\\b' } },
+    { name: 'memes', action: 'dim', match: { media: 'with', hashtags: ['meme'] } },
+    { name: 'tabloids', action: 'hide', match: { domains: ['tabloid.com'] } }
+  ]);
+  const manyTags = ['a', 'b', 'c', 'd', 'e', 'f'];
+  expect(evaluateRules(rules, tweet({ hashtags: manyTags })).name).toBe('hashtag spam');
+  expect(evaluateRules(rules, tweet({ hashtags: manyTags.slice(1) })).name).toBe('rust');
+  expect(evaluateRules(rules, tweet({ text: 'lol', hashtags: ['Meme'], hasMedia: true })).name).toBe('memes');
+  expect(evaluateRules(rules, tweet({ text: 'lol', hashtags: ['meme'] }))).toBeNull();
+  expect(evaluateRules(rules, tweet({ text: 'wow', urls: ['https://news.tabloid.com/story'] })).name).toBe('tabloids');
+});
+
+test('rules without conditions and invalid regexes never fire', () => {
+  const rules = normalizeRules([
+    { name: 'empty', action: 'hide' },
+    { name: 'broken', action: 'hide', match: { textRegex: '([' } }
+  ]);
+  expect(isValidRegex('([')).toBe(false);
+  expect(evaluateRules(rules, tweet())).toBeNull();
+});
+
+test('the reposter counts as an author', () => {
+  const rules = normalizeRules([{ name: 'no bob reposts', action: 'hide', match: { authors: ['@bob'], kind: 'repost' } }]);
+  expect(evaluateRules(rules, tweet({ isRepost: true, repostedBy: '@Bob' })).name).toBe('no bob reposts');
+  expect(evaluateRules(rules, tweet({ isRepost: true, repostedBy: '@carol' }))).toBeNull();
+});
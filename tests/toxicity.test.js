@@ -0,0 +1,30 @@
+/**
+ * Tests for the toxicity filter helpers (scripts/toxicity.js)
+ */
+import { normalizeToxicityFilter, toxicityScore, applyToxicityCeiling, DEFAULT_TOXICITY_CEILING } from '../scripts/toxicity.js';
+
+test('filter settings default to disabled blur at the default ceiling', () => {
+  expect(normalizeToxicityFilter(undefined)).toEqual({ enabled: false, ceiling: DEFAULT_TOXICITY_CEILING, action: 'blur' });
+  expect(normalizeToxicityFilter({ enabled: true, ceiling: 2, action: 'hide' })).toEqual({ enabled: true, ceiling: 1, action: 'hide' });
+  expect(normalizeToxicityFilter({ ceiling: '0.5', action: 'dim' })).toEqual({ enabled: false, ceiling: 0.5, action: 'blur' });
+});
+
+test('score is the strongest toxicity label in any output shape', () => {
+  expect(toxicityScore({ label: 'toxic', score: 0.91 })).toBe(0.91);
+  expect(toxicityScore([{ label: 'toxic', score: 0.2 }, { label: 'insult', score: 0.7 }])).toBe(0.7);
+  expect(toxicityScore([[{ label: 'threat', score: 0.4 }]])).toBe(0.4);
+  expect(toxicityScore([])).toBeNull();
+  expect(toxicityScore(undefined)).toBeNull();
+});
+
+test('toxicity above the ceiling overrides an interest match', () => {
+  const blur = { enabled: true, ceiling: 0.8, action: 'blur' };
+  const match = { isUninteresting: false, reason: 'ai sim=0.70' };
+
+  expect(applyToxicityCeiling(match, 0.95, blur)).toEqual({
+    isUninteresting: false, action: 'blur', reason: 'Toxicity 0.95 > ceiling 0.80', toxicity: 0.95
+  });
+  expect(applyToxicityCeiling(match, 0.95, { ...blur, action: 'hide' }).isUninteresting).toBe(true);
+  expect(applyToxicityCeiling(match, 0.3, blur)).toEqual({ ...match, toxicity: 0.3 }); // score still logged
+  expect(applyToxicityCeiling(match, null, blur)).toBe(match);                         // filter disabled
+});